@@ -0,0 +1,114 @@
+// Scenario layer of the upload tests over upload-page.html, the upload page
+// saved without its scripts once a video was uploaded (npm run upload:capture).
+// It plays the part of TikTok's scripts on the saved markup: upload progress,
+// settings widgets, publish button and confirmation dialog. The scenario is
+// set in the query string: upload-page.html?upload=ok|error|stuck&publish=ok|never.
+// Elements are found with the flow's SELECTORS, set by the test in
+// window.UPLOAD_SELECTORS: a control missing from the page is left missing.
+// On publish the settings read back from the page are saved in <body data-posted>.
+(() => {
+    const selectors = window.UPLOAD_SELECTORS;
+    if (!selectors) return;
+    const params = new URLSearchParams(location.search);
+    const upload = params.get('upload') || 'ok';
+    const publish = params.get('publish') || 'ok';
+    const $ = (selector) => document.querySelector(selector);
+    const show = (element, visible) => {
+        if (!element) return;
+        element.hidden = !visible;
+        element.style.display = visible ? '' : 'none';
+    };
+
+    // The page was saved after an upload: its "uploaded" marks come back
+    // once the file has been sent again
+    const marks = [...document.querySelectorAll(selectors.uploaded)]
+        .map(element => ({ element, parent: element.parentNode, next: element.nextSibling }));
+    marks.forEach(({ element }) => element.remove());
+
+    const editor = $(selectors.caption);
+    const button = $(selectors.publishButton);
+    let uploaded = false;
+
+    const refresh = () => {
+        if (!button) return;
+        const enabled = uploaded && publish !== 'never' && (editor?.innerText.trim().length || 0) > 0;
+        button.disabled = !enabled;
+        button.setAttribute('aria-disabled', String(!enabled));
+    };
+    editor?.addEventListener('input', refresh);
+    refresh();
+
+    $(selectors.fileInput)?.addEventListener('change', () => setTimeout(() => {
+        if (upload === 'error') {
+            const error = document.createElement('div');
+            error.dataset.e2e = 'upload-error';
+            error.textContent = 'Impossibile caricare il video. Riprova.';
+            (marks[0]?.parent || document.body).append(error);
+        } else if (upload === 'ok') {
+            marks.forEach(({ element, parent, next }) => parent.insertBefore(element, next));
+            uploaded = true;
+            refresh();
+        }
+        // stuck: the upload never completes
+    }, 600));
+
+    // Widgets whose behaviour came from TikTok's scripts
+    const toggles = [selectors.allowComments, selectors.allowDuet, selectors.allowStitch, selectors.aiGenerated].join(', ');
+    const visibilities = ['public', 'friends', 'private'];
+    show($(selectors.coverModal), false);
+    document.addEventListener('click', (event) => {
+        const target = event.target;
+        const toggle = target.closest(toggles);
+        if (toggle && !toggle.matches('input')) {
+            toggle.setAttribute('aria-checked', String(toggle.getAttribute('aria-checked') !== 'true'));
+        }
+        const advanced = target.closest(selectors.advancedSettings);
+        if (advanced) {
+            advanced.setAttribute('aria-expanded', 'true');
+            const controlled = advanced.getAttribute('aria-controls');
+            if (controlled) show(document.getElementById(controlled), true);
+        }
+        const visibility = visibilities.find(value => target.closest(selectors.visibilityOption.replace('{value}', value)));
+        if (visibility && $(selectors.visibility)) $(selectors.visibility).dataset.value = visibility;
+        if (target.closest(selectors.coverButton)) show($(selectors.coverModal), true);
+        if (target.closest(selectors.coverSlider)) {
+            const slider = target.closest(selectors.coverSlider);
+            slider.dataset.fraction = ((event.clientX - slider.getBoundingClientRect().left) / slider.clientWidth).toFixed(2);
+        }
+        if (target.closest(selectors.coverConfirm)) show($(selectors.coverModal), false);
+    });
+    document.addEventListener('change', (event) => {
+        if (!event.target.closest(selectors.schedule)) return;
+        [selectors.scheduleDate, selectors.scheduleTime].forEach(selector => $(selector)?.removeAttribute('disabled'));
+    });
+
+    const checked = (selector) => {
+        const element = $(selector);
+        if (!element) return null;
+        return element.matches('input') ? element.checked : element.getAttribute('aria-checked') === 'true';
+    };
+
+    button?.addEventListener('click', () => {
+        if (button.disabled) return;
+        button.disabled = true;
+        const visibility = $(selectors.visibility);
+        document.body.dataset.posted = JSON.stringify({
+            caption: editor?.innerText ?? null,
+            visibility: visibility ? (visibility.tagName === 'SELECT' ? visibility.value : visibility.dataset.value || 'public') : null,
+            allowComments: checked(selectors.allowComments),
+            allowDuet: checked(selectors.allowDuet),
+            allowStitch: checked(selectors.allowStitch),
+            aiGenerated: checked(selectors.aiGenerated),
+            schedule: checked(selectors.schedule) ? `${$(selectors.scheduleDate).value}T${$(selectors.scheduleTime).value}` : null,
+            cover: $(selectors.coverSlider)?.dataset.fraction ? Number($(selectors.coverSlider).dataset.fraction) : null,
+        });
+        // Not on the saved page: TikTok shows it when the post is accepted
+        setTimeout(() => {
+            const dialog = document.createElement('div');
+            dialog.setAttribute('role', 'dialog');
+            dialog.dataset.e2e = 'upload-success-modal';
+            dialog.textContent = 'Il tuo video è stato pubblicato';
+            document.body.append(dialog);
+        }, 600);
+    });
+})();
@@ -1,20 +1,30 @@
-import { AutomationScheduler } from './src/scheduler.js';
+import { AutomationScheduler, parseAtArg } from './src/scheduler.js';
 import { logger } from './src/logger.js';
 
 async function main() {
     logger.step('=== TIKTOK GRUPPOCLASSE AUTOMATION ===');
 
-    const scheduler = new AutomationScheduler();
+    // Dry run: full pipeline, preview bundle instead of delivery
+    const dryRun = process.argv.includes('--dry-run');
+    const scheduler = new AutomationScheduler({ dryRun });
+
+    // Print run history and upcoming slots, then exit
+    if (process.argv.includes('--status')) {
+        const limitIndex = process.argv.indexOf('--status') + 1;
+        scheduler.printStatus(parseInt(process.argv[limitIndex]) || 10);
+        return;
+    }
 
     // Check if running in "once" mode (for testing)
-    const runOnce = process.argv.includes('--once');
+    const runOnce = process.argv.includes('--once') || dryRun;
 
     if (runOnce) {
-        logger.step('Running in ONE-TIME mode');
-        await scheduler.runOnce();
+        logger.step(`Running in ${dryRun ? 'DRY-RUN' : 'ONE-TIME'} mode`);
+        const slotIndex = process.argv.indexOf('--slot');
+        await scheduler.runOnce(slotIndex !== -1 ? process.argv[slotIndex + 1] : null, parseAtArg(process.argv));
     } else {
         logger.step('Running in SCHEDULER mode');
-        scheduler.start();
+        await scheduler.start();
 
         // Keep process alive
         process.on('SIGINT', () => {
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+
+/**
+ * Audio bed: background music from a local library, ducked under the
+ * narration, a notification ping when each bubble appears and loudness
+ * normalization of the final mix.
+ *
+ * The library is a JSON file next to the tracks (see
+ * assets/music/library.example.json):
+ *   { "tracks": [{ "file", "title", "license", "categories", "templates", "volume" }] }
+ * A track with no categories and no templates fits any perla.
+ */
+
+const SAMPLE_FORMAT = 'aformat=sample_rates=44100:channel_layouts=stereo';
+
+/**
+ * Tracks of the music library whose file exists, with absolute paths
+ */
+export function loadMusicLibrary(file = config.audio.music.library) {
+    if (!fs.existsSync(file)) return [];
+    const { tracks = [] } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const dir = path.dirname(file);
+    return tracks
+        .map(track => ({ ...track, path: path.resolve(dir, track.file) }))
+        .filter(track => {
+            if (fs.existsSync(track.path)) return true;
+            logger.warn(`Music track not found: ${track.path}`);
+            return false;
+        });
+}
+
+/**
+ * Track for a perla: one tagged with its category, else one tagged with the
+ * template, else a generic one. The pick is stable for a given perla.
+ */
+export function chooseTrack(tracks, { category = '', template = '', seed = '' } = {}) {
+    const matches = (list, value) => (list || []).some(item => item.toLowerCase() === value.toLowerCase());
+    const candidates = [
+        tracks.filter(track => category && matches(track.categories, category)),
+        tracks.filter(track => template && matches(track.templates, template)),
+        tracks.filter(track => !track.categories?.length && !track.templates?.length),
+    ].find(list => list.length > 0);
+    if (!candidates) return null;
+
+    const hash = [...seed].reduce((sum, char) => (sum * 31 + char.codePointAt(0)) >>> 0, 0);
+    return candidates[hash % candidates.length];
+}
+
+/**
+ * FFmpeg filter graph mixing the narration (input 0), the music (next
+ * input, if any) and the ping (last input, if any), all trimmed to
+ * `duration` seconds. Cues are the times (seconds) of the pings.
+ * The output is labelled [out].
+ */
+export function buildMixFilters({ duration, music = null, cues = [] }, options = config.audio) {
+    const seconds = duration.toFixed(3);
+    const filters = [];
+    const streams = [];
+    let input = 1;
+
+    const voice = music ? '[voice]' : '[narration]';
+    filters.push(`[0:a]${SAMPLE_FORMAT},apad,atrim=0:${seconds}${music ? ',asplit=2[voice][key]' : '[narration]'}`);
+    streams.push(voice);
+
+    if (music) {
+        const { volume, fadeInMs, fadeOutMs, duckThreshold, duckRatio } = options.music;
+        const fadeOut = Math.min(fadeOutMs / 1000, duration / 2);
+        filters.push(
+            `[${input}:a]${SAMPLE_FORMAT},atrim=0:${seconds},volume=${(volume * (music.volume ?? 1)).toFixed(3)},` +
+            `afade=t=in:st=0:d=${(fadeInMs / 1000).toFixed(3)},afade=t=out:st=${(duration - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}[bed]`,
+            // Duck the music while the narration is speaking
+            `[bed][key]sidechaincompress=threshold=${duckThreshold}:ratio=${duckRatio}:attack=20:release=400[music]`
+        );
+        streams.push('[music]');
+        input++;
+    }
+
+    if (cues.length > 0) {
+        const copies = cues.map((_, index) => `[ping${index}]`);
+        filters.push(`[${input}:a]${SAMPLE_FORMAT},volume=${options.sfx.volume}${cues.length > 1 ? `,asplit=${cues.length}` : ''}${copies.join('')}`);
+        cues.forEach((cue, index) => {
+            const delay = Math.round(cue * 1000);
+            filters.push(`[ping${index}]adelay=${delay}|${delay},apad,atrim=0:${seconds}[cue${index}]`);
+        });
+        // Pings never overlap: undo the 1/n scaling of amix
+        filters.push(cues.length > 1
+            ? `${cues.map((_, index) => `[cue${index}]`).join('')}amix=inputs=${cues.length}:dropout_transition=0,volume=${cues.length}[sfx]`
+            : '[cue0]anull[sfx]');
+        streams.push('[sfx]');
+    }
+
+    const mix = streams.length > 1
+        ? `${streams.join('')}amix=inputs=${streams.length}:duration=first:dropout_transition=0,volume=${streams.length}`
+        : `${streams[0]}anull`;
+    const { enabled, targetLufs, truePeak, range } = options.loudness;
+    filters.push(enabled
+        ? `${mix},loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=${range},aresample=44100[out]`
+        : `${mix}[out]`);
+    return filters;
+}
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import { logger } from './logger.js';
+import config from './config.js';
+import { parseCron, cronMatches, zonedParts } from './cron-utils.js';
+import { getProfile } from './encoding-profiles.js';
+import { getCaptionStyle } from './captions.js';
+import { validatePostOptions } from './post-options.js';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Build a cron expression from { days: ['mon'], time: '18:00' }
+ */
+function slotCron(slot) {
+    if (slot.cron) return slot.cron;
+
+    const match = /^(\d{1,2}):(\d{2})$/.exec(slot.time || '');
+    if (!match) {
+        throw new Error(`Calendar slot "${slot.id}": needs "cron" or "time" (HH:MM)`);
+    }
+    const days = (slot.days || []).map(day => {
+        const name = String(day).toLowerCase().substring(0, 3);
+        if (!DAY_NAMES.includes(name)) throw new Error(`Calendar slot "${slot.id}": unknown day "${day}"`);
+        return name;
+    });
+    return `${parseInt(match[2], 10)} ${parseInt(match[1], 10)} * * ${days.length > 0 ? days.join(',') : '*'}`;
+}
+
+/**
+ * Wall-clock parts of a pin time "YYYY-MM-DDTHH:MM"
+ */
+function pinParts(at) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(at);
+    if (!match) throw new Error(`Calendar pin time "${at}": expected YYYY-MM-DDTHH:MM`);
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    return {
+        year, month, day, hour, minute,
+        weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+        date: `${match[1]}-${match[2]}-${match[3]}`,
+    };
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Content calendar: publishing slots with their own category filter,
+ * template, encoding profile, publishers, TikTok post settings and caption
+ * style, perle pinned to a date/time and blackout dates.
+ *
+ * Without a calendar file the two SCHEDULE_TIME_* crons become plain slots.
+ */
+export class ContentCalendar {
+    constructor({ timezone, slots = [], pins = [], blackouts = [] } = {}) {
+        this.timezone = timezone || config.schedule.timezone;
+        this.slots = slots.map((slot, index) => {
+            const id = slot.id || `slot-${index + 1}`;
+            const normalized = {
+                ...slot,
+                id,
+                cron: slotCron({ ...slot, id }),
+                categories: toList(slot.category).map(c => c.toLowerCase()),
+            };
+            normalized.parsedCron = parseCron(normalized.cron);
+            if (slot.profile) getProfile(slot.profile);
+            if (slot.captionStyle) getCaptionStyle(slot.captionStyle);
+            if (slot.post) validatePostOptions(slot.post, `Calendar slot ${id}`);
+            return normalized;
+        });
+        this.pins = pins.map(pin => {
+            if (!pin.perlaId || !(pin.at || (pin.date && pin.slot))) {
+                throw new Error(`Calendar pin ${JSON.stringify(pin)}: needs "perlaId" and "at" (YYYY-MM-DDTHH:MM) or "date" + "slot"`);
+            }
+            if (pin.at) pinParts(pin.at);
+            if (pin.captionStyle) getCaptionStyle(pin.captionStyle);
+            if (pin.post) validatePostOptions(pin.post, `Calendar pin ${pin.perlaId}`);
+            return pin;
+        });
+        this.blackouts = blackouts.map(entry => {
+            const [from, to = from] = String(entry.dates || entry).split('..');
+            return { from, to, reason: entry.reason || '' };
+        });
+    }
+
+    /**
+     * Load the calendar file, or build one from SCHEDULE_TIME_1/2
+     */
+    static load(file = config.calendar.file) {
+        if (fs.existsSync(file)) {
+            logger.step(`Loading content calendar: ${file}`);
+            return new ContentCalendar(JSON.parse(fs.readFileSync(file, 'utf-8')));
+        }
+        return new ContentCalendar({
+            slots: [
+                { id: 'time1', cron: config.schedule.time1 },
+                { id: 'time2', cron: config.schedule.time2 },
+            ],
+        });
+    }
+
+    getSlot(id) {
+        return this.slots.find(slot => slot.id === id) || null;
+    }
+
+    /**
+     * Slot that fires at the given time, or null
+     */
+    slotAt(date) {
+        const parts = zonedParts(date, this.timezone);
+        return this.slots.find(slot => cronMatches(slot.parsedCron, parts)) || null;
+    }
+
+    /**
+     * Blackout covering the given date, or null
+     */
+    getBlackout(date = new Date()) {
+        const day = zonedParts(date, this.timezone).date;
+        return this.blackouts.find(b => day >= b.from && day <= b.to) || null;
+    }
+
+    /**
+     * Perla pinned to this slot run: same date + slot, or same date and time
+     */
+    findPin(slot, date = new Date()) {
+        const parts = zonedParts(date, this.timezone);
+        return this.pins.find(pin => pin.at
+            ? pin.at === `${parts.date}T${parts.time}`
+            : pin.date === parts.date && pin.slot === slot?.id) || null;
+    }
+
+    /**
+     * Pins whose time is not covered by a slot: each needs its own job
+     */
+    getStandalonePins() {
+        return this.pins
+            .filter(pin => pin.at)
+            .map(pin => ({ pin, parts: pinParts(pin.at) }))
+            .filter(({ parts }) => !this.slots.some(slot => cronMatches(slot.parsedCron, parts)))
+            .map(({ pin, parts }) => ({
+                pin,
+                date: parts.date,
+                cron: `${parts.minute} ${parts.hour} ${parts.day} ${parts.month} *`,
+            }));
+    }
+
+    /**
+     * Filter candidates by the slot's categories
+     */
+    filterForSlot(slot, candidates) {
+        if (!slot || slot.categories.length === 0) return candidates;
+        return candidates.filter(p => slot.categories.includes((p.category || '').toLowerCase()));
+    }
+}
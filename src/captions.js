@@ -0,0 +1,41 @@
+import config from './config.js';
+
+const hashtags = () => config.hashtags.join(' ');
+
+// Telegram captions use parse_mode HTML
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Caption styles for the delivered video, selectable per calendar slot
+ */
+export const CAPTION_STYLES = {
+    default: (perla) => `🎬 <b>Video Pronto per TikTok!</b>\n\n` +
+        `📝 <i>Testo:</i> ${escapeHtml(perla.text)}\n\n` +
+        `🏷️ <code>${hashtags()}</code>\n\n` +
+        `🚀 Scarica il video e caricalo ora!`,
+
+    short: (perla) => `${escapeHtml(perla.text)}\n\n${hashtags()}`,
+
+    question: (perla) => `🎬 <b>Video Pronto per TikTok!</b>\n\n` +
+        `📝 <i>Testo:</i> ${escapeHtml(perla.text)}\n\n` +
+        `💬 <i>Caption:</i> Voi cosa avreste risposto? 👇\n\n` +
+        `🏷️ <code>${hashtags()}</code>`,
+};
+
+/**
+ * Renderer of a caption style; throws on an unknown style
+ */
+export function getCaptionStyle(style = 'default') {
+    const render = CAPTION_STYLES[style];
+    if (!render) {
+        throw new Error(`Unknown caption style: ${style} (available: ${Object.keys(CAPTION_STYLES).join(', ')})`);
+    }
+    return render;
+}
+
+/**
+ * Build the caption for a perla in the given style
+ */
+export function buildCaption(perla, style = 'default') {
+    return getCaptionStyle(style)(perla);
+}
@@ -0,0 +1,301 @@
+import { createCanvas } from 'canvas';
+import config from './config.js';
+import { parseDialogue, assignVoices } from './dialogue.js';
+import { drawBackground, drawHeader, roundRect } from './templates.js';
+import { fitText, paginate } from './text-layout.js';
+import { measureText, fillText } from './emoji.js';
+import { formatDate } from './perla-metadata.js';
+
+/**
+ * Split a perla into chat messages: one per dialogue turn and sentence,
+ * merging sentences shorter than `minLength` into their neighbour.
+ * Each message is { speaker, text, voice }.
+ */
+export function buildMessages(text, { voices = config.tts.voices, minLength = 40, dialogue = config.tts.dialogue } = {}) {
+    const turns = dialogue ? parseDialogue(text) : [{ speaker: null, text: text.replace(/\s+/g, ' ').trim() }];
+    const messages = [];
+    for (const turn of assignVoices(turns, voices)) {
+        // Emojis after the punctuation stay with their sentence
+        const sentences = turn.text.split(/(?<=[.!?…](?:\s*\p{RGI_Emoji})*)\s+(?!\p{RGI_Emoji})/v).filter(Boolean);
+        let current = '';
+        for (const sentence of sentences) {
+            current = current ? `${current} ${sentence}` : sentence;
+            if (current.length >= minLength) {
+                messages.push({ speaker: turn.speaker, text: current, voice: turn.voice });
+                current = '';
+            }
+        }
+        if (current) {
+            const last = messages[messages.length - 1];
+            if (last && last.speaker === turn.speaker && current.length < minLength) {
+                last.text = `${last.text} ${current}`;
+            } else {
+                messages.push({ speaker: turn.speaker, text: current, voice: turn.voice });
+            }
+        }
+    }
+    return messages;
+}
+
+/**
+ * Timing of each message from its narration length (seconds):
+ * a typing indicator for typingMs, then the bubble while it is read.
+ * Returns { events: [{ typingAt, showAt, endAt }], duration } in seconds.
+ */
+export function buildTimeline(durations, { leadMs = 300, typingMs = 900, holdMs = 1500 } = config.video.animation) {
+    const events = [];
+    let time = leadMs / 1000;
+    for (const duration of durations) {
+        const showAt = time + typingMs / 1000;
+        events.push({ typingAt: time, showAt, endAt: showAt + duration });
+        time = showAt + duration;
+    }
+    return { events, duration: time + holdMs / 1000 };
+}
+
+const APPEAR_SECONDS = 0.25;
+
+const TYPING_WIDTH = 170;
+const TYPING_HEIGHT = 90;
+
+/**
+ * Draws chat frames in a template's style (see templates.js): the author's
+ * messages on the left, replies on the right, each bubble sliding in after
+ * a typing indicator. `date` (YYYY-MM-DD) is shown as a chip above them.
+ */
+export class ChatRenderer {
+    constructor(messages, { template, width = config.video.width, height = config.video.height, author = '', date = null, bottomSpace = 120 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.bottomSpace = bottomSpace;
+        this.author = author;
+        this.dateLabel = formatDate(date);
+        this.template = template;
+        this.canvas = createCanvas(width, height);
+        this.ctx = this.canvas.getContext('2d');
+
+        const { bubble, fonts } = template;
+        this.font = fonts.family;
+        this.headerHeight = template.header.height;
+        this.margin = bubble.margin;
+        this.padding = bubble.padding;
+        this.gap = bubble.gap;
+        this.nameSize = bubble.nameSize;
+        this.maxBubbleWidth = Math.round(width * bubble.maxWidth);
+        this.dateHeight = this.dateLabel ? template.date.fontSize * 2 : 0;
+        this.available = height - this.headerHeight - this.gap * 2 - bottomSpace;
+
+        // Messages too long for the screen become several bubbles
+        this.messages = messages.flatMap(message => this.paginateMessage(message));
+
+        // As in WhatsApp, the name is shown only when the sender changes
+        const speakers = [];
+        this.bubbles = this.messages.map((message, index) => {
+            const key = message.speaker ? message.speaker.toLowerCase() : null;
+            if (!speakers.includes(key)) speakers.push(key);
+            const previous = this.messages[index - 1];
+            const showName = !previous || (previous.speaker || '').toLowerCase() !== (key || '');
+            return this.layoutBubble(message, speakers.indexOf(key), showName);
+        });
+    }
+
+    /**
+     * Text box of a bubble, for fitText()/paginate()
+     */
+    textBox(withName = true) {
+        const { bubble } = this.template;
+        return {
+            maxWidth: this.maxBubbleWidth - this.padding * 2,
+            maxHeight: this.available - this.padding * 2 - (withName ? this.nameSize + 14 : 0),
+            minSize: bubble.minFontSize,
+            maxSize: bubble.fontSize,
+            lineHeight: bubble.lineHeight,
+            font: this.font,
+        };
+    }
+
+    paginateMessage(message) {
+        const pages = paginate(this.ctx, message.text, this.textBox());
+        return pages.map(page => ({ ...message, text: page.text }));
+    }
+
+    /**
+     * Wrap a message and measure its bubble; the font shrinks (down to
+     * the template's minFontSize) only when the bubble would not fit
+     */
+    layoutBubble(message, speakerIndex, showName = true) {
+        const { ctx } = this;
+        const name = showName ? message.speaker || this.author : '';
+        const { lines, fontSize, lineHeight } = fitText(ctx, message.text, this.textBox(Boolean(name)));
+        const textWidth = Math.max(...lines.map(line => measureText(ctx, line)));
+
+        ctx.font = `bold ${this.nameSize}px ${this.font}`;
+        const nameWidth = name ? ctx.measureText(name).width : 0;
+
+        const nameHeight = name ? this.nameSize + 14 : 0;
+        return {
+            lines,
+            fontSize,
+            lineHeight,
+            name,
+            sender: message.speaker || this.author,
+            outgoing: Boolean(message.speaker),
+            nameColor: this.template.bubble.names[speakerIndex % this.template.bubble.names.length],
+            width: Math.min(this.maxBubbleWidth, Math.max(textWidth, nameWidth) + this.padding * 2),
+            height: nameHeight + lines.length * lineHeight + this.padding * 2 - (lineHeight - fontSize),
+            nameHeight,
+        };
+    }
+
+    /**
+     * State of the chat at time t: visible bubbles with their appear
+     * progress and the bubble being typed, if any
+     */
+    stateAt(t, events) {
+        const visible = [];
+        let typing = null;
+        events.forEach((event, index) => {
+            if (t >= event.showAt) {
+                visible.push({ index, progress: Math.min(1, (t - event.showAt) / APPEAR_SECONDS) });
+            } else if (t >= event.typingAt) {
+                typing = { index, phase: Math.floor((t - event.typingAt) / 0.3) % 3 };
+            }
+        });
+        return { visible, typing };
+    }
+
+    /**
+     * Key identifying a state: frames with the same key are identical
+     */
+    stateKey({ visible, typing }) {
+        const last = visible[visible.length - 1];
+        return `${visible.length}:${last ? last.progress.toFixed(2) : ''}:${typing ? `${typing.index}.${typing.phase}` : ''}`;
+    }
+
+    drawBubble(bubble, y, alpha) {
+        const { ctx } = this;
+        const style = this.template.bubble;
+        const side = bubble.outgoing ? style.outgoing : style.incoming;
+        const x = bubble.outgoing ? this.width - this.margin - bubble.width : this.margin;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        if (style.shadow) {
+            ctx.shadowColor = style.shadow;
+            ctx.shadowBlur = 12;
+            ctx.shadowOffsetY = 4;
+        }
+        ctx.fillStyle = side.color;
+        roundRect(ctx, x, y, bubble.width, bubble.height, style.radius);
+        ctx.restore();
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        let textY = y + this.padding;
+        if (bubble.name) {
+            ctx.fillStyle = bubble.nameColor;
+            ctx.font = `bold ${this.nameSize}px ${this.font}`;
+            ctx.fillText(bubble.name, x + this.padding, textY);
+            textY += bubble.nameHeight;
+        }
+        ctx.fillStyle = side.text;
+        ctx.font = `${bubble.fontSize}px ${this.font}`;
+        for (const line of bubble.lines) {
+            fillText(ctx, line, x + this.padding, textY);
+            textY += bubble.lineHeight;
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Date chip, centered like the day separators of a chat
+     */
+    drawDate(y) {
+        const { ctx } = this;
+        const style = this.template.date;
+        ctx.font = `${style.fontSize}px ${this.font}`;
+        const width = ctx.measureText(this.dateLabel).width + style.fontSize * 1.6;
+        ctx.fillStyle = style.color;
+        roundRect(ctx, (this.width - width) / 2, y, width, this.dateHeight, this.dateHeight / 2);
+        ctx.fillStyle = style.text;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.dateLabel, this.width / 2, y + this.dateHeight / 2);
+    }
+
+    drawTyping(bubble, y, phase) {
+        const { ctx } = this;
+        const style = this.template.bubble;
+        const x = bubble.outgoing ? this.width - this.margin - TYPING_WIDTH : this.margin;
+
+        ctx.fillStyle = (bubble.outgoing ? style.outgoing : style.incoming).color;
+        roundRect(ctx, x, y, TYPING_WIDTH, TYPING_HEIGHT, style.radius);
+        for (let i = 0; i < 3; i++) {
+            ctx.globalAlpha = i === phase ? 1 : 0.35;
+            ctx.fillStyle = this.template.typing.dots;
+            ctx.beginPath();
+            ctx.arc(x + 50 + i * 35, y + TYPING_HEIGHT / 2 - (i === phase ? 6 : 0), 11, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the frame for a state and return it as PNG
+     */
+    renderFrame({ visible, typing }) {
+        const typingBubble = typing ? this.bubbles[typing.index] : null;
+        drawBackground(this.ctx, this.template, this.width, this.height);
+
+        // Stack bubbles from the top, scrolling up once they overflow
+        const heights = visible.map(({ index }) => this.bubbles[index].height + this.gap);
+        if (typing) heights.push(TYPING_HEIGHT + this.gap);
+        if (this.dateLabel) heights.push(this.dateHeight + this.gap);
+        const contentHeight = heights.reduce((sum, h) => sum + h, 0);
+        let y = this.headerHeight + this.gap - Math.max(0, contentHeight - this.available);
+
+        if (this.dateLabel) {
+            this.drawDate(y);
+            y += this.dateHeight + this.gap;
+        }
+
+        for (const { index, progress } of visible) {
+            const bubble = this.bubbles[index];
+            // Slide in from below while fading in
+            const offset = (1 - progress) * 40;
+            if (y + bubble.height > this.headerHeight) {
+                this.drawBubble(bubble, y + offset, progress);
+            }
+            y += bubble.height + this.gap;
+        }
+        if (typingBubble) this.drawTyping(typingBubble, y, typing.phase);
+
+        // Drawn last so scrolled bubbles slide under it
+        drawHeader(this.ctx, this.template, this.width, typingBubble
+            ? `${typingBubble.sender || 'Qualcuno'} ${this.template.typing.label}`
+            : this.template.header.subtitle);
+
+        return this.canvas.toBuffer('image/png');
+    }
+
+    /**
+     * Yield one PNG per video frame, reusing the previous one while
+     * nothing changes on screen
+     */
+    *frames(timeline, fps = config.video.fps) {
+        const count = Math.ceil(timeline.duration * fps);
+        let lastKey = null;
+        let lastFrame = null;
+        for (let frame = 0; frame < count; frame++) {
+            const state = this.stateAt(frame / fps, timeline.events);
+            const key = this.stateKey(state);
+            if (key !== lastKey) {
+                lastFrame = this.renderFrame(state);
+                lastKey = key;
+            }
+            yield lastFrame;
+        }
+    }
+}
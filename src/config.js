@@ -5,19 +5,91 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-dotenv.config({ path: path.join(__dirname, '..', '.env') });
+const rootDir = path.join(__dirname, '..');
+
+dotenv.config({ path: path.join(rootDir, '.env') });
+
+const dataDir = path.join(rootDir, process.env.DATA_DIR || 'data');
 
 export const config = {
     // TikTok Credentials
     tiktok: {
         username: process.env.TIKTOK_USERNAME || '',
         password: process.env.TIKTOK_PASSWORD || '',
+        // Web upload (see tiktok-upload.js): timeout of each state in ms, and
+        // where the screenshot and HTML of a failed upload are saved
+        upload: {
+            url: process.env.TIKTOK_UPLOAD_URL || 'https://www.tiktok.com/upload',
+            timeouts: {
+                open: 60000,
+                'select-file': 30000,
+                uploading: parseInt(process.env.TIKTOK_UPLOAD_TIMEOUT_MS || '600000'), // processing of long videos
+                caption: 30000,
+                settings: 60000,
+                ready: 120000,
+                publishing: 120000,
+            },
+            debugDir: path.join(rootDir, process.env.LOGS_DIR || 'logs', 'uploads'),
+        },
+        // Saved browser session (see tiktok-session.js): Telegram alert this many days
+        // before the auth cookies expire, logged-in probe before each upload
+        session: {
+            file: path.join(dataDir, 'tiktok-session.json'),
+            backupDir: path.join(dataDir, 'session-backups'),
+            keepBackups: parseInt(process.env.TIKTOK_SESSION_BACKUPS || '5'),
+            warnDays: parseFloat(process.env.TIKTOK_SESSION_WARN_DAYS || '7'),
+            probe: process.env.TIKTOK_SESSION_PROBE !== 'false',
+            probeUrl: 'https://www.tiktok.com/passport/web/account/info/?aid=1459',
+        },
+        // Post settings (see post-options.js); calendar slots and pins can override them with "post"
+        post: {
+            visibility: process.env.TIKTOK_VISIBILITY || 'public', // public, friends, private
+            allowComments: process.env.TIKTOK_ALLOW_COMMENTS !== 'false',
+            allowDuet: process.env.TIKTOK_ALLOW_DUET !== 'false',
+            allowStitch: process.env.TIKTOK_ALLOW_STITCH !== 'false',
+            // "AI-generated content" label: the voices are synthetic
+            aiGenerated: process.env.TIKTOK_AI_LABEL !== 'false',
+            schedule: process.env.TIKTOK_SCHEDULE || null, // HH:MM, TikTok scheduled post
+            coverAt: process.env.TIKTOK_COVER_AT ? parseFloat(process.env.TIKTOK_COVER_AT) : null, // seconds, default: TikTok's own cover
+        },
     },
 
     // Scheduling
     schedule: {
         time1: process.env.SCHEDULE_TIME_1 || '0 10 * * *', // 10:00 AM
         time2: process.env.SCHEDULE_TIME_2 || '0 18 * * *', // 6:00 PM
+        timezone: process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        // Slots missed while the process was down (within the window) are reported on startup,
+        // and the most recent ones re-run when catch-up is enabled
+        catchUp: process.env.SCHEDULE_CATCHUP === 'true',
+        catchUpWindowHours: parseFloat(process.env.SCHEDULE_CATCHUP_WINDOW_HOURS || '6'),
+        catchUpMaxRuns: parseInt(process.env.SCHEDULE_CATCHUP_MAX_RUNS || '1'),
+    },
+
+    // Per-step retries with exponential backoff
+    retry: {
+        attempts: parseInt(process.env.RETRY_ATTEMPTS || '3'),
+        baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '2000'),
+        maxDelayMs: 60000,
+        // Runs that resume delivery of a rendered video before it is re-rendered from scratch
+        maxDeliveryRuns: parseInt(process.env.RETRY_MAX_DELIVERY_RUNS || '3'),
+    },
+
+    // Workflow run history
+    history: {
+        file: path.join(dataDir, 'run-history.json'),
+        maxEntries: 500,
+    },
+
+    // Content calendar (slots, pinned perle, blackout dates); replaces time1/time2 when present
+    calendar: {
+        file: path.resolve(rootDir, process.env.CALENDAR_FILE || 'calendar.json'),
+    },
+
+    // Where rendered videos go, tried in order until one succeeds
+    // (telegram, tiktok, local); calendar slots can set their own "publishers"
+    publish: {
+        chain: (process.env.PUBLISHERS || 'telegram').split(',').map(name => name.trim()).filter(Boolean),
     },
 
     // Hashtags
@@ -27,36 +99,148 @@ export const config = {
     video: {
         width: parseInt(process.env.VIDEO_WIDTH || '1080'),
         height: parseInt(process.env.VIDEO_HEIGHT || '1920'),
-        duration: parseInt(process.env.VIDEO_DURATION || '15'),
+        // Minimum length in seconds: shorter videos hold their last frame
+        duration: parseInt(process.env.VIDEO_DURATION || '0'),
         fps: 30,
-        backgroundColor: '#1a1a2e',
-        textColor: '#ffffff',
-        accentColor: '#ff6b6b',
+        // Encoding profile (see encoding-profiles.js): tiktok, reels, shorts, telegram-preview
+        profile: process.env.VIDEO_PROFILE || 'tiktok',
+        // Send Telegram a low-bandwidth copy (always done for files over 50 MB)
+        telegramPreview: process.env.VIDEO_TELEGRAM_PREVIEW === 'true',
+        // Animated chat: bubbles appear one by one after a typing indicator
+        animation: {
+            enabled: process.env.VIDEO_ANIMATED !== 'false',
+            leadMs: 300,
+            typingMs: parseInt(process.env.VIDEO_TYPING_MS || '900'),
+            holdMs: 1500, // last frame held after the narration ends
+        },
+        // Theme from templates/<name>.json: the slot template wins, then the
+        // perla category (VIDEO_TEMPLATES_BY_CATEGORY={"Compiti":"telegram"}), then the default
+        template: process.env.VIDEO_TEMPLATE || 'whatsapp',
+        templatesByCategory: process.env.VIDEO_TEMPLATES_BY_CATEGORY ? JSON.parse(process.env.VIDEO_TEMPLATES_BY_CATEGORY) : {},
+    },
+
+    // Word-timed captions: sidecar .srt and burned-in .ass with the current word highlighted
+    subtitles: {
+        enabled: process.env.SUBTITLES !== 'false',
+        burnIn: process.env.SUBTITLES_BURN_IN !== 'false',
+        maxWords: 5,
+        maxChars: 24,
+        fontSize: 64,
+        highlightColor: process.env.SUBTITLES_HIGHLIGHT || null, // default: the template's
+        marginBottom: 200,
+    },
+
+    // Audio bed: background music ducked under the narration, a ping per bubble,
+    // loudness normalized to a target (LUFS)
+    audio: {
+        music: {
+            enabled: process.env.MUSIC !== 'false',
+            library: path.resolve(rootDir, process.env.MUSIC_LIBRARY || 'assets/music/library.json'),
+            volume: parseFloat(process.env.MUSIC_VOLUME || '0.3'),
+            fadeInMs: 1000,
+            fadeOutMs: 2000,
+            // Sidechain compressor keyed by the narration
+            duckThreshold: 0.02,
+            duckRatio: 8,
+        },
+        sfx: {
+            enabled: process.env.SFX !== 'false',
+            ping: process.env.SFX_PING ? path.resolve(rootDir, process.env.SFX_PING) : null, // default: synthesized
+            volume: parseFloat(process.env.SFX_VOLUME || '0.5'),
+        },
+        loudness: {
+            enabled: process.env.LOUDNORM !== 'false',
+            targetLufs: parseFloat(process.env.AUDIO_TARGET_LUFS || '-14'),
+            truePeak: -1.5,
+            range: 11,
+        },
     },
 
     // TTS Settings
     tts: {
+        engine: process.env.TTS_ENGINE || 'google', // google | espeak | piper
         language: process.env.TTS_LANGUAGE || 'it-IT',
         voiceSpeed: parseFloat(process.env.TTS_VOICE_SPEED || '1.0'),
+        // Offline engines, run locally
+        espeak: {
+            command: process.env.TTS_ESPEAK_BIN || 'espeak-ng',
+            voice: process.env.TTS_ESPEAK_VOICE || undefined,
+        },
+        piper: {
+            command: process.env.TTS_PIPER_BIN || 'piper',
+            model: process.env.TTS_PIPER_MODEL || undefined,
+        },
+        // Dialogue perle: one voice per speaker ({ pitch, variant, speaker }), author first
+        dialogue: process.env.TTS_DIALOGUE !== 'false',
+        voices: process.env.TTS_VOICES ? JSON.parse(process.env.TTS_VOICES) : [
+            { pitch: 1 },
+            { pitch: 0.8, variant: 'm3' },
+            { pitch: 1.2, variant: 'f2' },
+        ],
+        // Emojis are drawn in the video; the narration drops them or reads a short description
+        emoji: process.env.TTS_EMOJI || 'strip', // strip | describe
     },
 
     // Scraping
     scraping: {
         url: process.env.GRUPPOCLASSE_URL || 'https://gruppoclasse.it',
         timeout: 30000,
+        minLength: 10,
+    },
+
+    // Near-duplicate detection on ingest (0..1 trigram similarity)
+    dedup: {
+        threshold: parseFloat(process.env.DEDUP_THRESHOLD || '0.85'),
+    },
+
+    // Editorial review: new perle wait in "ingested" until approved
+    review: {
+        autoApprove: process.env.REVIEW_AUTO_APPROVE === 'true',
+    },
+
+    // Perla selection: fifo | random | category-rotation
+    selection: {
+        strategy: process.env.SELECTION_STRATEGY || 'category-rotation',
+        avoidWindow: parseInt(process.env.SELECTION_AVOID_WINDOW || '3'), // posts without repeating author/category
+        seed: process.env.SELECTION_SEED || '', // set for reproducible picks
+    },
+
+    // Content sources merged by the scraper: CONTENT_SOURCES_FILE (JSON file)
+    // or CONTENT_SOURCES (inline JSON), parsed by loadSourceDefinitions(),
+    // falling back to the public "Perle" Google Sheet
+    sources: {
+        file: process.env.CONTENT_SOURCES_FILE ? path.resolve(rootDir, process.env.CONTENT_SOURCES_FILE) : '',
+        json: process.env.CONTENT_SOURCES || '',
+        default: [{
+            type: 'google-sheet',
+            name: 'perle-sheet',
+            sheetId: process.env.GOOGLE_SHEET_ID || '1RDwxQMQCIBVigJijppbNgAtNPQZ7MNf9z7zYJn_PZm8',
+            gid: process.env.GOOGLE_SHEET_GID || '1971420613', // GID for "Perle" tab
+            columns: { text: 'testo', category: 'categoria', author: 'autore' }, // header names
+        }],
     },
 
     // Paths
     paths: {
-        data: path.join(__dirname, '..', process.env.DATA_DIR || 'data'),
+        root: rootDir,
+        data: dataDir,
         videos: path.join(__dirname, '..', process.env.VIDEOS_DIR || 'videos'),
         logs: path.join(__dirname, '..', process.env.LOGS_DIR || 'logs'),
+        previews: path.join(__dirname, '..', process.env.PREVIEWS_DIR || 'previews'),
+        published: path.join(__dirname, '..', process.env.PUBLISH_DIR || 'published'),
         templates: path.join(__dirname, '..', 'templates'),
     },
 
     // Database
     db: {
-        contentFile: path.join(__dirname, '..', 'data', 'content-db.json'),
+        // Legacy database, imported on first run
+        contentFile: path.join(dataDir, 'content-db.json'),
+        // Default target of "npm run db -- export", never read on first run
+        exportFile: path.join(dataDir, 'content-export.json'),
+        storeDir: path.join(dataDir, 'store'),
+        compactEvery: 50, // journal entries before writing a new snapshot
+        lockTimeoutMs: 10000,
+        lockStaleMs: 10 * 60 * 1000,
     },
 };
 
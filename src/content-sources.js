@@ -0,0 +1,281 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+import { parseCsvStream, rowsToRecords, normalizeHeader } from './csv-parser.js';
+
+/**
+ * Base class for content sources.
+ * A source fetches raw records and maps them to { text, category, author }
+ * using the `columns` mapping from its definition. A column can be a number
+ * (CSV column index) or a string (CSV header name or JSON object key).
+ * An optional `priority` column marks perle to publish first.
+ */
+export class ContentSource {
+    constructor(definition = {}) {
+        this.name = definition.name || definition.type;
+        this.columns = {
+            text: 'text',
+            category: 'category',
+            author: 'author',
+            ...definition.columns,
+        };
+        this.defaults = {
+            category: 'Generale',
+            author: 'Anonimo',
+            ...definition.defaults,
+        };
+    }
+
+    /**
+     * Fetch raw records (arrays or objects) from the source
+     */
+    async fetchRecords() {
+        throw new Error(`Source "${this.name}" does not implement fetchRecords()`);
+    }
+
+    /**
+     * Read a single column from a record
+     */
+    getColumn(record, column) {
+        if (column === undefined || column === null) return '';
+        const value = typeof column === 'number' || column in record
+            ? record[column]
+            : record[normalizeHeader(column)];
+        return value === undefined || value === null ? '' : String(value).replace(/\r\n?/g, '\n').trim();
+    }
+
+    /**
+     * Turn CSV rows (first row = header) into records, checking that the
+     * text column exists in the header. Optional columns (category, author,
+     * priority) may be missing: their fields are read as empty and take the
+     * source defaults.
+     */
+    toRecords(rows) {
+        const { header, records } = rowsToRecords(rows);
+        const missing = Object.entries(this.columns)
+            .filter(([, column]) => typeof column === 'string' && !header.includes(normalizeHeader(column)));
+        for (const [field, column] of missing) {
+            if (field === 'text') {
+                throw new Error(`Source "${this.name}": column "${column}" (${field}) not found in header [${header.join(', ')}]`);
+            }
+            logger.warn(`Source "${this.name}": column "${column}" (${field}) not found, using the default`);
+        }
+        return records;
+    }
+
+    /**
+     * Map a raw record to a perla candidate
+     */
+    mapRecord(record) {
+        const perla = {
+            text: this.getColumn(record, this.columns.text),
+            category: this.getColumn(record, this.columns.category) || this.defaults.category,
+            author: this.getColumn(record, this.columns.author) || this.defaults.author,
+            source: this.name,
+        };
+        // Optional priority flag: a number, or "x" / "si" / "true" for 1
+        if (this.columns.priority !== undefined) {
+            perla.priority = parsePriority(this.getColumn(record, this.columns.priority));
+        }
+        return perla;
+    }
+
+    /**
+     * Fetch and map all records
+     */
+    async fetch() {
+        const records = await this.fetchRecords();
+        return records.map(record => this.mapRecord(record));
+    }
+}
+
+/**
+ * Public Google Sheet, read through its CSV export URL
+ */
+export class GoogleSheetSource extends ContentSource {
+    constructor(definition = {}) {
+        super({ columns: { text: 'testo', category: 'categoria', author: 'autore' }, ...definition });
+        this.sheetId = definition.sheetId;
+        this.gid = definition.gid || '0';
+
+        if (!this.sheetId) {
+            throw new Error(`Source "${this.name}": sheetId is required`);
+        }
+    }
+
+    get url() {
+        return `https://docs.google.com/spreadsheets/d/${this.sheetId}/export?format=csv&gid=${this.gid}`;
+    }
+
+    async fetchRecords() {
+        logger.step(`Fetching Google Sheet ${this.sheetId} (gid ${this.gid})...`);
+        const response = await fetch(this.url, { signal: AbortSignal.timeout(config.scraping.timeout) });
+        if (!response.ok) {
+            const error = new Error(`Sheet fetch failed: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return this.toRecords(await parseCsvStream(response.body));
+    }
+}
+
+/**
+ * Local file: CSV, JSON or Markdown (format guessed from the extension)
+ */
+export class FileSource extends ContentSource {
+    constructor(definition = {}) {
+        super(definition);
+        const format = definition.format || path.extname(definition.path || '').slice(1).toLowerCase();
+        this.format = format === 'markdown' ? 'md' : format;
+
+        if (!definition.path) {
+            throw new Error(`Source "${this.name}": path is required`);
+        }
+        this.path = path.resolve(config.paths.root, definition.path);
+    }
+
+    async fetchRecords() {
+        logger.step(`Reading perle from ${this.path}...`);
+        switch (this.format) {
+            case 'csv':
+                return this.toRecords(await parseCsvStream(fs.createReadStream(this.path)));
+            case 'json':
+                return extractArray(JSON.parse(await fs.promises.readFile(this.path, 'utf-8')), this.name);
+            case 'md':
+                return parseMarkdown(await fs.promises.readFile(this.path, 'utf-8'));
+            default:
+                throw new Error(`Source "${this.name}": unsupported file format "${this.format}"`);
+        }
+    }
+}
+
+/**
+ * HTTP endpoint returning a JSON array of records.
+ * `itemsPath` points to the array when it is nested (e.g. "data.perle").
+ */
+export class HttpJsonSource extends ContentSource {
+    constructor(definition = {}) {
+        super(definition);
+        this.url = definition.url;
+        this.headers = definition.headers || {};
+        this.itemsPath = definition.itemsPath || '';
+
+        if (!this.url) {
+            throw new Error(`Source "${this.name}": url is required`);
+        }
+    }
+
+    async fetchRecords() {
+        logger.step(`Fetching perle from ${this.url}...`);
+        const response = await axios.get(this.url, {
+            headers: this.headers,
+            timeout: config.scraping.timeout,
+        });
+        const items = this.itemsPath
+            ? this.itemsPath.split('.').reduce((value, key) => value?.[key], response.data)
+            : response.data;
+        return extractArray(items, this.name);
+    }
+}
+
+const SOURCE_TYPES = {
+    'google-sheet': GoogleSheetSource,
+    'file': FileSource,
+    'http-json': HttpJsonSource,
+};
+
+/**
+ * Source definitions from CONTENT_SOURCES_FILE or CONTENT_SOURCES, else the
+ * default sheet. Read when the scraper starts, so a bad value only stops
+ * fetching; the error names the variable to fix.
+ */
+export function loadSourceDefinitions(sources = config.sources) {
+    let variable = null;
+    let definitions = sources.default;
+    try {
+        if (sources.file) {
+            variable = 'CONTENT_SOURCES_FILE';
+            definitions = JSON.parse(fs.readFileSync(sources.file, 'utf-8'));
+        } else if (sources.json) {
+            variable = 'CONTENT_SOURCES';
+            definitions = JSON.parse(sources.json);
+        }
+    } catch (error) {
+        throw new Error(`${variable}: ${error.code === 'ENOENT' ? `file ${sources.file} not found` : `invalid JSON (${error.message})`}`);
+    }
+    if (!Array.isArray(definitions)) {
+        throw new Error(`${variable}: expected a JSON array of source definitions`);
+    }
+    return definitions;
+}
+
+/**
+ * Create a source from its config definition
+ */
+export function createSource(definition) {
+    const SourceClass = SOURCE_TYPES[definition.type];
+    if (!SourceClass) {
+        throw new Error(`Unknown content source type: ${definition.type}`);
+    }
+    return new SourceClass(definition);
+}
+
+/**
+ * Parse a Markdown file of perle.
+ * "## Heading" sets the category for the following items, each list item
+ * ("- " or "* ") is a perla, indented lines continue the previous item and
+ * a trailing "— Author" sets the author.
+ */
+export function parseMarkdown(content) {
+    const records = [];
+    let category = '';
+    let current = null;
+
+    const flush = () => {
+        if (!current) return;
+        const text = current.lines.join('\n').trim();
+        const match = text.match(/^([\s\S]*?)\s+(?:—|--)\s+([^\n]+)$/);
+        records.push({
+            text: match ? match[1].trim() : text,
+            category,
+            author: match ? match[2].trim() : '',
+        });
+        current = null;
+    };
+
+    for (const line of content.split(/\r?\n/)) {
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        const item = line.match(/^[-*]\s+(.*)$/);
+
+        if (heading) {
+            flush();
+            category = heading[1].trim();
+        } else if (item) {
+            flush();
+            current = { lines: [item[1]] };
+        } else if (current && /^\s+\S/.test(line)) {
+            current.lines.push(line.trim());
+        } else {
+            flush();
+        }
+    }
+    flush();
+
+    return records;
+}
+
+function parsePriority(value) {
+    if (value === '') return 0;
+    const number = Number(value.replace(',', '.'));
+    if (!Number.isNaN(number)) return number;
+    return ['x', 'si', 'sì', 'yes', 'true'].includes(value.toLowerCase()) ? 1 : 0;
+}
+
+function extractArray(value, sourceName) {
+    if (!Array.isArray(value)) {
+        throw new Error(`Source "${sourceName}": expected a JSON array of records`);
+    }
+    return value;
+}
@@ -0,0 +1,626 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+import { migratePerle } from './migrate-ids.js';
+import { createPerlaId } from './perla-id.js';
+import { extractMetadata } from './perla-metadata.js';
+import { STATES, PUBLISHED_STATES } from './lifecycle.js';
+
+export class StoreLockedError extends Error {
+    constructor(lockPath, owner) {
+        super(`Content store is locked by pid ${owner?.pid} on ${owner?.host} since ${owner?.at} (${lockPath})`);
+        this.name = 'StoreLockedError';
+        this.owner = owner;
+    }
+}
+
+export class StoreCorruptedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StoreCorruptedError';
+    }
+}
+
+/**
+ * Schema migrations, applied in order to snapshots older than their version.
+ * Version 0 is the legacy content-db.json layout.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Content-hash perla IDs, legacy IDs kept as aliases',
+        up: (perle) => {
+            const { perle: migrated, report } = migratePerle(perle);
+            logger.step(`${report.remapped} IDs remapped, ${report.merged} duplicates merged`);
+            return migrated;
+        },
+    },
+    {
+        version: 2,
+        description: 'Lifecycle states replace the published flag',
+        up: (perle) => perle.map(({ published, publishedAt, ...perla }) => {
+            // Perle that were waiting to go out join the review queue, unless
+            // REVIEW_AUTO_APPROVE clears new perle for publishing anyway
+            const waiting = config.review.autoApprove ? STATES.APPROVED : STATES.INGESTED;
+            const state = !published
+                ? waiting
+                : perla.tiktokUrl === 'delivered-to-telegram' ? STATES.DELIVERED : STATES.POSTED;
+            return {
+                ...perla,
+                state,
+                history: [{
+                    from: null,
+                    to: state,
+                    at: publishedAt || perla.scrapedAt || new Date().toISOString(),
+                    actor: 'migration',
+                }],
+            };
+        }),
+    },
+    {
+        version: 3,
+        description: 'Category, date and author extracted from the perla text',
+        up: (perle) => {
+            const byId = new Map(perle.map(p => [p.id, p]));
+            let extracted = 0;
+            let merged = 0;
+            for (const perla of perle) {
+                const { text, metadata } = extractMetadata(perla.text);
+                if (!metadata) continue;
+                extracted++;
+                Object.assign(perla, {
+                    text,
+                    category: metadata.category || perla.category,
+                    author: metadata.author || perla.author,
+                    date: metadata.date,
+                });
+
+                // New ingests hash the clean text: that ID must lead to this perla
+                const cleanId = createPerlaId(text);
+                const twin = byId.get(cleanId);
+                if (!twin) {
+                    perla.aliases = [...(perla.aliases || []), cleanId];
+                    byId.set(cleanId, perla);
+                    continue;
+                }
+                if (twin === perla) continue;
+                // The same perla was also stored without metadata: keep the one
+                // that has gone out (or the clean one), with both IDs
+                const [kept, dropped] = PUBLISHED_STATES.includes(perla.state) && !PUBLISHED_STATES.includes(twin.state)
+                    ? [perla, twin]
+                    : [twin, perla];
+                kept.aliases = [...new Set([...(kept.aliases || []), dropped.id, ...(dropped.aliases || [])])];
+                kept.date = kept.date || dropped.date;
+                for (const id of [dropped.id, ...(dropped.aliases || [])]) byId.set(id, kept);
+                byId.delete(dropped.id);
+                dropped.mergedInto = kept.id;
+                merged++;
+                logger.step(`Merged ${dropped.id} into ${kept.id}`);
+            }
+            logger.step(`Metadata extracted from ${extracted} perle, ${merged} duplicates merged`);
+            return perle.filter(p => !p.mergedInto);
+        },
+    },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run the migrations newer than `fromVersion` over a list of perle
+ */
+function applyMigrations(perle, fromVersion) {
+    let migrated = perle;
+    for (const migration of MIGRATIONS.filter(m => m.version > fromVersion)) {
+        logger.step(`Migrating content store to v${migration.version}: ${migration.description}`);
+        migrated = migration.up(migrated);
+    }
+    return migrated;
+}
+
+function checksum(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').substring(0, 12);
+}
+
+/**
+ * Write a file atomically: temp file + fsync + rename
+ */
+export function writeFileAtomic(filePath, content) {
+    const tmpPath = `${filePath}.tmp-${process.pid}`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Transactional perla store: a snapshot plus an append-only journal.
+ *
+ * Every transaction appends one checksummed journal line with the perle it
+ * changed; the journal is folded into a new snapshot (written with an atomic
+ * rename, previous snapshot and journal kept as .bak / .prev) every
+ * `compactEvery` transactions.
+ * Writers hold an exclusive lock file, readers never block.
+ * open() creates or upgrades the store; await it before reading.
+ */
+export class ContentStore {
+    constructor(options = {}) {
+        this.dir = options.dir || config.db.storeDir;
+        this.legacyFile = options.legacyFile || config.db.contentFile;
+        this.compactEvery = options.compactEvery || config.db.compactEvery;
+        this.lockStaleMs = options.lockStaleMs || config.db.lockStaleMs;
+        this.lockTimeoutMs = options.lockTimeoutMs || config.db.lockTimeoutMs;
+
+        this.snapshotPath = path.join(this.dir, 'snapshot.json');
+        this.backupPath = path.join(this.dir, 'snapshot.json.bak');
+        this.journalPath = path.join(this.dir, 'journal.jsonl');
+        this.previousJournalPath = path.join(this.dir, 'journal.prev.jsonl');
+        this.lockPath = path.join(this.dir, 'store.lock');
+        this.lockToken = null;
+        // Locked sections of this process, one after the other
+        this.lockQueue = Promise.resolve();
+        this.opened = null;
+
+        // Dry run: read the store (or the legacy file) but keep every change in memory
+        this.dryRun = options.dryRun || false;
+        this.overlay = null;
+    }
+
+    /**
+     * Create or upgrade the store on disk, once; resolves to the store
+     */
+    async open() {
+        if (!this.opened) this.opened = this.dryRun ? Promise.resolve() : this.ensureStore();
+        await this.opened;
+        return this;
+    }
+
+    /**
+     * Create the store, importing the legacy JSON database if there is one
+     */
+    async ensureStore() {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+        if (fs.existsSync(this.snapshotPath)) {
+            if (this.readSnapshot().schemaVersion < SCHEMA_VERSION) await this.upgrade();
+            return;
+        }
+
+        await this.withLock(() => {
+            if (fs.existsSync(this.snapshotPath)) return;
+            logger.step('Creating content store...');
+            let data = { schemaVersion: SCHEMA_VERSION, perle: [] };
+            if (fs.existsSync(this.legacyFile)) {
+                logger.step(`Importing ${this.legacyFile}`);
+                // An export of this store keeps its version, so no migration runs twice
+                data = this.readImportable(this.legacyFile);
+            }
+            this.writeSnapshot({ schemaVersion: data.schemaVersion, seq: 0, perle: data.perle });
+            this.migrate();
+            logger.success('Content store created');
+        });
+    }
+
+    /**
+     * Run an exclusive section guarded by the lock file. Sections do not
+     * nest: the ones started while another runs wait for it.
+     */
+    withLock(fn) {
+        const run = this.lockQueue.then(async () => {
+            await this.acquireLock();
+            try {
+                return await fn();
+            } finally {
+                this.releaseLock();
+            }
+        });
+        this.lockQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Take the lock file, waiting up to `lockTimeoutMs` for another writer
+     * without blocking the event loop
+     */
+    async acquireLock() {
+        const deadline = Date.now() + this.lockTimeoutMs;
+        while (!this.tryLock()) {
+            if (Date.now() > deadline) {
+                throw new StoreLockedError(this.lockPath, this.readLockOwner());
+            }
+            await sleep(100);
+        }
+    }
+
+    readLockOwner(lockPath = this.lockPath) {
+        try {
+            return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Create the lock file with its owner in one step: the owner is written
+     * to a temp file that is hard-linked into place, which fails if the lock
+     * exists, so a lock file is never seen empty
+     */
+    tryLock() {
+        const owner = { pid: process.pid, host: os.hostname(), at: new Date().toISOString(), token: crypto.randomUUID() };
+        const tmpPath = `${this.lockPath}.${owner.token}`;
+        fs.writeFileSync(tmpPath, JSON.stringify(owner));
+        try {
+            fs.linkSync(tmpPath, this.lockPath);
+            this.lockToken = owner.token;
+            return true;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        } finally {
+            fs.rmSync(tmpPath, { force: true });
+        }
+        this.removeStaleLock();
+        return false;
+    }
+
+    /**
+     * What tells one lock file from the next: its token, or for a lock
+     * without a readable owner its inode and modification time
+     */
+    lockIdentity(lockPath = this.lockPath) {
+        const owner = this.readLockOwner(lockPath);
+        if (owner?.token) return owner.token;
+        const stat = fs.statSync(lockPath);
+        return `${stat.ino}:${stat.mtimeMs}`;
+    }
+
+    /**
+     * Remove the lock of a dead owner, or one older than `lockStaleMs`.
+     * The lock is moved aside and deleted only if it is still the file that
+     * was judged stale: a waiter never deletes a lock another one just took.
+     */
+    removeStaleLock() {
+        let stat;
+        let identity;
+        try {
+            stat = fs.statSync(this.lockPath);
+            identity = this.lockIdentity();
+        } catch {
+            return; // released meanwhile
+        }
+        const current = this.readLockOwner();
+        // Without a readable owner only the file age tells
+        const since = current ? new Date(current.at).getTime() : stat.mtimeMs;
+        const deadOwner = current && current.host === os.hostname() && !isProcessAlive(current.pid);
+        if (!deadOwner && !(Date.now() - since > this.lockStaleMs)) return;
+
+        const movedPath = `${this.lockPath}.stale-${crypto.randomUUID()}`;
+        try {
+            fs.renameSync(this.lockPath, movedPath);
+        } catch {
+            return; // another waiter moved it
+        }
+        if (this.lockIdentity(movedPath) !== identity) {
+            // A new lock was taken in between: put it back
+            try {
+                fs.linkSync(movedPath, this.lockPath);
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+        } else {
+            logger.warn(`Removing stale content store lock (pid ${current?.pid})`);
+        }
+        fs.rmSync(movedPath, { force: true });
+    }
+
+    /**
+     * Remove the lock file, if it is still ours
+     */
+    releaseLock() {
+        if (this.readLockOwner()?.token !== this.lockToken) return;
+        fs.rmSync(this.lockPath, { force: true });
+        this.lockToken = null;
+    }
+
+    readSnapshotFile(filePath) {
+        const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        if (!Array.isArray(snapshot.perle) || typeof snapshot.seq !== 'number') {
+            throw new Error('invalid snapshot structure');
+        }
+        return snapshot;
+    }
+
+    /**
+     * Read the snapshot, falling back to the backup if it is damaged
+     */
+    readSnapshot() {
+        try {
+            return this.readSnapshotFile(this.snapshotPath);
+        } catch (error) {
+            logger.error(`Content store snapshot unreadable: ${error.message}`);
+        }
+        try {
+            const backup = this.readSnapshotFile(this.backupPath);
+            logger.warn(`Recovered content store from backup snapshot (seq ${backup.seq})`);
+            return backup;
+        } catch (error) {
+            throw new StoreCorruptedError(
+                `Content store snapshot and backup are both unreadable (${error.message}). ` +
+                `Restore ${this.snapshotPath} or re-import an export with "npm run db -- import <file>".`
+            );
+        }
+    }
+
+    /**
+     * Parse journal entries. A torn last line (crash mid-append) and damaged
+     * lines elsewhere are skipped; with `repair` the journal is rewritten
+     * without them, after keeping a copy of a damaged one for inspection.
+     */
+    readJournal(journalPath, repair = false) {
+        if (!fs.existsSync(journalPath)) return [];
+
+        const content = fs.readFileSync(journalPath, 'utf-8');
+        const lines = content.split('\n');
+        const entries = [];
+        const validLines = [];
+        let torn = false;
+        let damaged = 0;
+
+        lines.forEach((line, index) => {
+            if (line === '') return;
+            try {
+                const { sum, ...entry } = JSON.parse(line);
+                if (sum !== checksum(JSON.stringify(entry))) throw new Error('checksum mismatch');
+                entries.push(entry);
+                validLines.push(line);
+            } catch (error) {
+                // Entries are written with their newline in one call: no newline means a torn write
+                if (index === lines.length - 1) {
+                    torn = true;
+                    return;
+                }
+                damaged++;
+                logger.error(`Skipping damaged journal entry on line ${index + 1}: ${error.message}`);
+            }
+        });
+
+        if (repair && (torn || damaged > 0)) {
+            if (damaged > 0) {
+                const copyPath = `${journalPath}.damaged-${Date.now()}`;
+                fs.copyFileSync(journalPath, copyPath);
+                logger.warn(`Damaged journal copied to ${copyPath}`);
+            }
+            if (torn) logger.warn('Dropping incomplete last journal entry');
+            writeFileAtomic(journalPath, validLines.map(line => `${line}\n`).join(''));
+        }
+
+        return entries;
+    }
+
+    /**
+     * Current state: snapshot with the journal replayed on top
+     */
+    load(repair = false) {
+        if (this.overlay) return this.overlay;
+        if (!this.dryRun && !this.opened) throw new Error('Content store read before open()');
+        return this.dryRun ? this.loadInMemory() : this.loadFromDisk(repair);
+    }
+
+    loadFromDisk(repair) {
+        const snapshot = this.readSnapshot();
+        const perle = new Map(snapshot.perle.map(p => [p.id, p]));
+        let seq = snapshot.seq;
+        let pending = 0;
+
+        // The previous journal is only needed after recovering from the backup snapshot
+        const entries = [
+            ...this.readJournal(this.previousJournalPath),
+            ...this.readJournal(this.journalPath, repair),
+        ];
+        for (const entry of entries) {
+            if (entry.seq <= snapshot.seq) continue;
+            for (const perla of entry.put || []) perle.set(perla.id, perla);
+            for (const id of entry.delete || []) perle.delete(id);
+            seq = entry.seq;
+            pending++;
+        }
+
+        return { schemaVersion: snapshot.schemaVersion, seq, perle, pending };
+    }
+
+    /**
+     * Dry-run state: the store (or the legacy file if there is no store yet)
+     * migrated in memory, nothing written to disk
+     */
+    loadInMemory() {
+        let state;
+        if (fs.existsSync(this.snapshotPath)) {
+            state = this.loadFromDisk(false);
+        } else {
+            const { schemaVersion, perle } = fs.existsSync(this.legacyFile)
+                ? this.readImportable(this.legacyFile)
+                : { schemaVersion: SCHEMA_VERSION, perle: [] };
+            state = { schemaVersion, seq: 0, perle: new Map(perle.map(p => [p.id, p])), pending: 0 };
+        }
+        if (state.schemaVersion < SCHEMA_VERSION) {
+            const perle = applyMigrations([...state.perle.values()], state.schemaVersion);
+            state = { ...state, schemaVersion: SCHEMA_VERSION, perle: new Map(perle.map(p => [p.id, p])) };
+        }
+        return state;
+    }
+
+    /**
+     * All perle, in insertion order
+     */
+    all() {
+        return [...this.load().perle.values()];
+    }
+
+    get(id) {
+        return this.load().perle.get(id) || null;
+    }
+
+    /**
+     * Run `fn(perle)` on a working copy of the perle Map and commit the
+     * changes it makes as one journal entry. Resolves to the result of `fn`.
+     */
+    async transaction(fn) {
+        if (this.dryRun) {
+            const state = this.load();
+            const draft = new Map([...state.perle].map(([id, p]) => [id, structuredClone(p)]));
+            const result = fn(draft);
+            this.overlay = { ...state, perle: draft };
+            return result;
+        }
+
+        return this.withLock(() => {
+            const state = this.load(true);
+            const before = new Map([...state.perle].map(([id, p]) => [id, JSON.stringify(p)]));
+            const draft = new Map([...state.perle].map(([id, p]) => [id, structuredClone(p)]));
+
+            const result = fn(draft);
+
+            const put = [...draft.values()].filter(p => before.get(p.id) !== JSON.stringify(p));
+            const removed = [...before.keys()].filter(id => !draft.has(id));
+            if (put.length === 0 && removed.length === 0) return result;
+
+            const entry = { seq: state.seq + 1, at: new Date().toISOString(), put, delete: removed };
+            const line = JSON.stringify({ ...entry, sum: checksum(JSON.stringify(entry)) });
+            const fd = fs.openSync(this.journalPath, 'a');
+            try {
+                fs.writeSync(fd, `${line}\n`);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            if (state.pending + 1 >= this.compactEvery) {
+                this.foldJournal();
+            }
+            return result;
+        });
+    }
+
+    writeSnapshot(snapshot) {
+        if (fs.existsSync(this.snapshotPath)) {
+            fs.copyFileSync(this.snapshotPath, this.backupPath);
+        }
+        writeFileAtomic(this.snapshotPath, JSON.stringify(snapshot, null, 2));
+    }
+
+    /**
+     * Start a new journal after a snapshot. The old one is kept next to the
+     * backup snapshot so that .bak + journal.prev can rebuild the state.
+     * Entries already in the snapshot are skipped on replay, so a crash
+     * before the rename loses nothing.
+     */
+    rotateJournal() {
+        if (fs.existsSync(this.journalPath)) {
+            fs.renameSync(this.journalPath, this.previousJournalPath);
+        }
+    }
+
+    /**
+     * Fold the journal into a new snapshot
+     */
+    compact() {
+        return this.withLock(() => this.foldJournal());
+    }
+
+    // Compaction, with the lock held
+    foldJournal() {
+        const state = this.load(true);
+        this.writeSnapshot({
+            schemaVersion: state.schemaVersion,
+            seq: state.seq,
+            perle: [...state.perle.values()],
+        });
+        this.rotateJournal();
+    }
+
+    /**
+     * Apply pending schema migrations
+     */
+    upgrade() {
+        return this.withLock(() => this.migrate());
+    }
+
+    // Schema migrations, with the lock held
+    migrate() {
+        const state = this.load(true);
+        const pending = MIGRATIONS.filter(m => m.version > state.schemaVersion);
+        if (pending.length === 0) return;
+
+        const perle = applyMigrations([...state.perle.values()], state.schemaVersion);
+        this.writeSnapshot({ schemaVersion: SCHEMA_VERSION, seq: state.seq, perle });
+        this.rotateJournal();
+        logger.success(`Content store at schema v${SCHEMA_VERSION}`);
+    }
+
+    /**
+     * Read a JSON export ({ perle: [...] }, schemaVersion defaults to 0)
+     */
+    readExport(filePath) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        if (!Array.isArray(data.perle)) {
+            throw new Error(`${filePath} is not a perle export`);
+        }
+        return { schemaVersion: data.schemaVersion || 0, perle: data.perle };
+    }
+
+    /**
+     * A JSON export this store can import (not from a newer schema)
+     */
+    readImportable(filePath) {
+        const data = this.readExport(filePath);
+        if (data.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`${filePath} has schema v${data.schemaVersion}, newer than this store (v${SCHEMA_VERSION})`);
+        }
+        return data;
+    }
+
+    /**
+     * Export all perle to a JSON file
+     */
+    export(filePath) {
+        const state = this.load();
+        writeFileAtomic(filePath, JSON.stringify({
+            schemaVersion: state.schemaVersion,
+            exportedAt: new Date().toISOString(),
+            perle: [...state.perle.values()],
+        }, null, 2));
+        return state.perle.size;
+    }
+
+    /**
+     * Replace the store contents with a JSON export (migrated if older)
+     */
+    async import(filePath) {
+        const data = this.readImportable(filePath);
+        await this.withLock(() => {
+            const state = this.load(true);
+            this.writeSnapshot({ schemaVersion: data.schemaVersion, seq: state.seq, perle: data.perle });
+            fs.rmSync(this.journalPath, { force: true });
+            fs.rmSync(this.previousJournalPath, { force: true });
+            this.migrate();
+        });
+        return data.perle.length;
+    }
+}
@@ -1,81 +1,287 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-function parseCookiesTxt(cookieContent) {
-  const lines = cookieContent.split('\n');
-  const cookies = [];
-  for (const line of lines) {
-    if (line.startsWith('#') || line.trim() === '') continue;
-    const parts = line.split('\t');
-    if (parts.length < 7) continue;
-    const [domain, flag, path, secure, expiration, name, value] = parts;
-    cookies.push({
-      name: name.trim(),
-      value: value.trim(),
-      domain: domain.trim(),
-      path: path.trim(),
-      expires: parseInt(expiration),
-      httpOnly: false,
-      secure: secure.toLowerCase() === 'true',
-      sameSite: 'Lax'
+import { logger } from './logger.js';
+import config from './config.js';
+import { SessionManager } from './tiktok-session.js';
+
+/**
+ * Convert cookies exported from a browser into the Playwright session file
+ * used by TikTokClient.
+ *
+ * Formats: "json" (Playwright cookies, storage state, or browser extension
+ * exports with expirationDate/hostOnly) and "netscape" (cookies.txt, where
+ * "#HttpOnly_" marks HttpOnly cookies).
+ */
+
+const USAGE = `Usage: npm run cookies -- <input> [output] [options]
+  --format auto|json|netscape   Input format (default: auto)
+  --merge                       Merge into the existing session instead of replacing it
+  --domain <domain>             Keep cookies of this domain (default: tiktok.com)
+  --dry-run                     Print the report without writing
+Output defaults to the TikTok session file (${config.tiktok.session.file}).`;
+
+export const FORMATS = ['auto', 'json', 'netscape'];
+
+// Browser extension values → Playwright's sameSite
+const SAME_SITE = {
+    strict: 'Strict',
+    lax: 'Lax',
+    none: 'None',
+    no_restriction: 'None',
+    unspecified: 'Lax',
+};
+
+export class CookieFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CookieFormatError';
+    }
+}
+
+/**
+ * Format of an export: "json" when it parses as JSON, else "netscape"
+ */
+export function detectFormat(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch {
+            // Not JSON after all
+        }
+    }
+    return 'netscape';
+}
+
+/**
+ * Cookies of a cookies.txt file, as raw entries. Lines that are not
+ * cookies are returned in `invalid` with their line number.
+ */
+export function parseNetscape(text) {
+    const cookies = [];
+    const invalid = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        let entry = line;
+        let httpOnly = false;
+        if (entry.startsWith('#HttpOnly_')) {
+            entry = entry.substring('#HttpOnly_'.length);
+            httpOnly = true;
+        }
+        if (entry.trim() === '' || entry.startsWith('#')) return;
+
+        const parts = entry.split('\t');
+        if (parts.length < 7) {
+            invalid.push({ line: index + 1, reason: `${parts.length} tab-separated fields, expected 7` });
+            return;
+        }
+        const [domain, includeSubdomains, path, secure, expires, name, ...value] = parts;
+        cookies.push({
+            name,
+            value: value.join('\t'),
+            domain: includeSubdomains.toUpperCase() === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+            path,
+            expires: Number(expires),
+            httpOnly,
+            secure: secure.toUpperCase() === 'TRUE',
+        });
     });
-  }
-  return cookies;
+    return { cookies, invalid };
+}
+
+/**
+ * Cookies of a JSON export: an array of cookies or { cookies: [...] }
+ * (Playwright storage state)
+ */
+export function parseJson(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new CookieFormatError(`Invalid JSON: ${error.message}`);
+    }
+    const cookies = Array.isArray(parsed) ? parsed : parsed?.cookies;
+    if (!Array.isArray(cookies)) {
+        throw new CookieFormatError('JSON export should be an array of cookies or { "cookies": [...] }');
+    }
+    return { cookies, invalid: [] };
 }
 
-function parseJSON(cookieContent) {
-  try {
-    const parsed = JSON.parse(cookieContent);
-    if (Array.isArray(parsed) && parsed[0]?.name && parsed[0]?.value) return parsed;
+/**
+ * A raw cookie in Playwright's schema:
+ * { name, value, domain, path, expires, httpOnly, secure, sameSite }.
+ * expires is in seconds, -1 for a session cookie. Throws on a cookie
+ * Playwright would reject.
+ */
+export function normalizeCookie(raw) {
+    if (!raw || typeof raw.name !== 'string' || raw.name.trim() === '') {
+        throw new CookieFormatError('no name');
+    }
+    if (raw.value === undefined || raw.value === null) throw new CookieFormatError('no value');
+    const domain = String(raw.domain || raw.host || '').trim();
+    if (!domain) throw new CookieFormatError('no domain');
+
+    // expirationDate (extensions), expires (Playwright, cookies.txt); 0 = session cookie
+    let expires = Number(raw.expirationDate ?? raw.expires ?? -1);
+    if (raw.session === true || !Number.isFinite(expires) || expires <= 0) expires = -1;
+    if (expires > 1e11) expires = expires / 1000; // milliseconds
+    if (expires !== -1) expires = Math.floor(expires);
+
+    const secure = Boolean(raw.secure);
+    let sameSite = SAME_SITE[String(raw.sameSite || 'unspecified').toLowerCase()];
+    if (!sameSite) throw new CookieFormatError(`unknown sameSite "${raw.sameSite}"`);
+    // Browsers reject SameSite=None without Secure
+    if (sameSite === 'None' && !secure) sameSite = 'Lax';
+
+    return {
+        name: raw.name.trim(),
+        value: String(raw.value),
+        // Host-only cookies have no leading dot
+        domain: raw.hostOnly === false && !domain.startsWith('.') ? `.${domain}` : domain,
+        path: raw.path || '/',
+        expires,
+        httpOnly: Boolean(raw.httpOnly),
+        secure,
+        sameSite,
+    };
+}
+
+/**
+ * True for the domain itself and its subdomains ("www.tiktok.com", not
+ * "evil-tiktok.com")
+ */
+export function matchesDomain(cookieDomain, domain) {
+    const host = cookieDomain.replace(/^\./, '').toLowerCase();
+    const target = domain.replace(/^\./, '').toLowerCase();
+    return host === target || host.endsWith(`.${target}`);
+}
+
+/**
+ * Parse and normalize an export. Returns { cookies, report } where the
+ * report lists the kept, dropped ({ name, reason }) and expired cookies.
+ */
+export function convertCookies(text, { format = 'auto', domain = 'tiktok.com', now = new Date() } = {}) {
+    if (!FORMATS.includes(format)) {
+        throw new CookieFormatError(`Unknown format "${format}" (available: ${FORMATS.join(', ')})`);
+    }
+    const actualFormat = format === 'auto' ? detectFormat(text) : format;
+    const { cookies: raw, invalid } = actualFormat === 'json' ? parseJson(text) : parseNetscape(text);
+    const report = {
+        format: actualFormat,
+        kept: [],
+        dropped: invalid.map(({ line, reason }) => ({ name: `line ${line}`, reason })),
+        expired: [],
+    };
     const cookies = [];
-    for (const cookie of parsed) {
-      cookies.push({
-        name: cookie.name,
-        value: cookie.value,
-        domain: cookie.domain || '.tiktok.com',
-        path: cookie.path || '/',
-        expires: cookie.expirationDate || -1,
-        httpOnly: cookie.httpOnly || false,
-        secure: cookie.secure || false,
-        sameSite: cookie.sameSite || 'Lax'
-      });
+    const nowSeconds = now.getTime() / 1000;
+
+    for (const entry of raw) {
+        let cookie;
+        try {
+            cookie = normalizeCookie(entry);
+        } catch (error) {
+            report.dropped.push({ name: entry?.name || '(unnamed)', reason: error.message });
+            continue;
+        }
+        if (!matchesDomain(cookie.domain, domain)) {
+            report.dropped.push({ name: cookie.name, reason: `domain ${cookie.domain}` });
+        } else if (cookie.expires !== -1 && cookie.expires < nowSeconds) {
+            report.expired.push({ name: cookie.name, expiredAt: new Date(cookie.expires * 1000).toISOString() });
+        } else {
+            cookies.push(cookie);
+            report.kept.push(cookie.name);
+        }
     }
-    return cookies;
-  } catch (e) { return null; }
+    return { cookies, report };
+}
+
+/**
+ * Merge cookies into an existing list: same name, domain and path are
+ * replaced. Returns { cookies, added, replaced }.
+ */
+export function mergeCookies(existing, incoming) {
+    const key = (cookie) => `${cookie.name}|${cookie.domain}|${cookie.path}`;
+    const merged = new Map(existing.map(cookie => [key(cookie), cookie]));
+    let added = 0;
+    let replaced = 0;
+    for (const cookie of incoming) {
+        if (merged.has(key(cookie))) replaced++;
+        else added++;
+        merged.set(key(cookie), cookie);
+    }
+    return { cookies: [...merged.values()], added, replaced };
+}
+
+/**
+ * Report lines for the console
+ */
+export function formatReport(report) {
+    const lines = [
+        `Format: ${report.format}`,
+        `Kept ${report.kept.length}: ${report.kept.join(', ') || '-'}`,
+        `Expired ${report.expired.length}${report.expired.length ? `: ${report.expired.map(c => `${c.name} (${c.expiredAt})`).join(', ')}` : ''}`,
+        `Dropped ${report.dropped.length}${report.dropped.length ? `: ${report.dropped.map(c => `${c.name} (${c.reason})`).join(', ')}` : ''}`,
+    ];
+    return lines;
 }
 
-async function convertCookies(inputFile, outputFile) {
-  console.log('🍪 Converting TikTok cookies...');
-  const cookieContent = fs.readFileSync(inputFile, 'utf-8');
-  let cookies = parseJSON(cookieContent);
-  if (!cookies) cookies = parseCookiesTxt(cookieContent);
-
-  if (!cookies || cookies.length === 0) {
-    console.error('❌ Error: No cookies found!');
-    process.exit(1);
-  }
-
-  const tiktokCookies = cookies.filter(c => c.domain.includes('tiktok.com'));
-  if (tiktokCookies.length === 0) {
-    console.error('❌ Error: No TikTok cookies found!');
-    process.exit(1);
-  }
-
-  fs.writeFileSync(outputFile, JSON.stringify(tiktokCookies, null, 2));
-  console.log(`✅ Saved to: ${outputFile}`);
+function parseArgs(args) {
+    const options = { format: 'auto', merge: false, domain: 'tiktok.com', dryRun: false, files: [] };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--format') options.format = args[++i];
+        else if (arg === '--domain') options.domain = args[++i];
+        else if (arg === '--merge') options.merge = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('--')) throw new CookieFormatError(`Unknown option ${arg}`);
+        else options.files.push(arg);
+    }
+    return options;
 }
 
-const args = process.argv.slice(2);
-const inputFile = args[0];
-const outputFile = args[1] || path.join(__dirname, '..', 'data', 'tiktok-session.json');
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const [input, output = config.tiktok.session.file] = options.files;
+    if (options.help || !input) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+    if (!fs.existsSync(input)) throw new Error(`File not found: ${input}`);
+
+    logger.step(`Converting cookies from ${input}...`);
+    const { cookies, report } = convertCookies(fs.readFileSync(input, 'utf-8'), options);
+    formatReport(report).forEach(line => logger.step(line));
+    if (cookies.length === 0) throw new Error(`No valid ${options.domain} cookies in ${input}`);
+
+    // Backups of another session file go next to it
+    const session = path.resolve(output) === path.resolve(config.tiktok.session.file)
+        ? new SessionManager()
+        : new SessionManager({ file: output, backupDir: path.join(path.dirname(output), 'session-backups') });
+    let result = cookies;
+    if (options.merge) {
+        const merged = mergeCookies(session.load(), cookies);
+        logger.step(`Merge into ${output}: ${merged.added} added, ${merged.replaced} replaced`);
+        result = merged.cookies;
+    }
+    const health = session.inspect(result);
+    if (health.status === 'missing') {
+        logger.warn('No sessionid/sid_tt cookie: the session will not be logged in');
+    } else if (health.daysLeft !== null) {
+        logger.step(`Session cookies expire in ${health.daysLeft.toFixed(1)} days (${health.expiresAt.toISOString()})`);
+    }
 
-if (!fs.existsSync(inputFile)) {
-  console.error(`❌ Error: File not found: ${inputFile}`);
-  process.exit(1);
+    if (options.dryRun) {
+        logger.step(`Dry run: ${result.length} cookies not written`);
+        return;
+    }
+    session.save(result);
+    logger.success(`${result.length} cookies saved to ${output}`);
 }
 
-convertCookies(inputFile, outputFile);
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        logger.error(error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,164 @@
+const FIELD_RANGES = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+function parseValue(value, range) {
+    const lower = value.toLowerCase();
+    if (range.names) {
+        const index = range.names.findIndex(name => lower.startsWith(name));
+        if (index !== -1) return index + range.min;
+    }
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number) || number < range.min || number > range.max) {
+        throw new Error(`Invalid ${range.name} value "${value}"`);
+    }
+    return number;
+}
+
+function parseField(field, range) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const [base, stepText] = part.split('/');
+        const step = stepText ? parseInt(stepText, 10) : 1;
+        if (!(step > 0)) throw new Error(`Invalid step in "${part}"`);
+
+        let from = range.min;
+        let to = range.max;
+        if (base !== '*') {
+            const [start, end] = base.split('-');
+            from = parseValue(start, range);
+            to = end !== undefined ? parseValue(end, range) : (stepText ? range.max : from);
+        }
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+    // 7 is also Sunday
+    if (range.name === 'weekday' && values.has(7)) values.add(0);
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression (a leading seconds field, as accepted
+ * by node-cron, is ignored). Supports *, lists, ranges, steps and names.
+ */
+export function parseCron(expression) {
+    let fields = expression.trim().split(/\s+/);
+    if (fields.length === 6) fields = fields.slice(1);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}"`);
+    }
+    const parsed = {};
+    fields.forEach((field, index) => {
+        parsed[FIELD_RANGES[index].name] = parseField(field, FIELD_RANGES[index]);
+    });
+    // Standard cron: when both day fields are restricted, either may match
+    parsed.dayOr = fields[2] !== '*' && fields[4] !== '*';
+    return parsed;
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock parts of a date in a timezone
+ */
+export function zonedParts(date, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23',
+        }));
+    }
+    const parts = Object.fromEntries(
+        formatters.get(timezone).formatToParts(date).map(({ type, value }) => [type, value])
+    );
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+    };
+}
+
+/**
+ * True if the cron expression fires at the given wall-clock parts
+ */
+export function cronMatches(cronOrExpression, parts) {
+    const cron = typeof cronOrExpression === 'string' ? parseCron(cronOrExpression) : cronOrExpression;
+    if (!cron.minute.has(parts.minute) || !cron.hour.has(parts.hour) || !cron.month.has(parts.month)) {
+        return false;
+    }
+    const dayMatch = cron.day.has(parts.day);
+    const weekdayMatch = cron.weekday.has(parts.weekday);
+    return cron.dayOr ? dayMatch || weekdayMatch : dayMatch && weekdayMatch;
+}
+
+const MINUTE = 60 * 1000;
+
+function dayMatches(cron, parts) {
+    if (!cron.month.has(parts.month)) return false;
+    const dayMatch = cron.day.has(parts.day);
+    const weekdayMatch = cron.weekday.has(parts.weekday);
+    return cron.dayOr ? dayMatch || weekdayMatch : dayMatch && weekdayMatch;
+}
+
+/**
+ * Fire times of a cron expression in (from, to], oldest first
+ */
+export function occurrencesBetween(cronOrExpression, timezone, from, to) {
+    const cron = typeof cronOrExpression === 'string' ? parseCron(cronOrExpression) : cronOrExpression;
+    const times = [];
+    let time = Math.floor(from.getTime() / MINUTE) * MINUTE + MINUTE;
+
+    while (time <= to.getTime()) {
+        const parts = zonedParts(new Date(time), timezone);
+        if (!cron.hour.has(parts.hour) || !dayMatches(cron, parts)) {
+            // Skip to the next hour
+            time += (60 - parts.minute) * MINUTE;
+            continue;
+        }
+        if (cronMatches(cron, parts)) times.push(new Date(time));
+        time += MINUTE;
+    }
+    return times;
+}
+
+/**
+ * Days to look ahead for the next fire time: a week and a day, or a year
+ * when the expression restricts the day of the month or the month
+ */
+export function lookAheadDays(cronOrExpression) {
+    const cron = typeof cronOrExpression === 'string' ? parseCron(cronOrExpression) : cronOrExpression;
+    return cron.day.size < 31 || cron.month.size < 12 ? 366 : 8;
+}
+
+/**
+ * Next `count` fire times after `from`, looking ahead at most `maxDays`
+ * (by default as far as the expression needs, see lookAheadDays)
+ */
+export function nextOccurrences(cronOrExpression, timezone, from = new Date(), count = 1, maxDays = null) {
+    const cron = typeof cronOrExpression === 'string' ? parseCron(cronOrExpression) : cronOrExpression;
+    maxDays = maxDays ?? lookAheadDays(cron);
+    const times = [];
+    let windowStart = from;
+    for (let day = 0; day < maxDays && times.length < count; day++) {
+        const windowEnd = new Date(windowStart.getTime() + 24 * 60 * MINUTE);
+        times.push(...occurrencesBetween(cron, timezone, windowStart, windowEnd));
+        windowStart = windowEnd;
+    }
+    return times.slice(0, count);
+}
@@ -0,0 +1,171 @@
+/**
+ * Streaming RFC 4180 CSV parser.
+ * Handles quoted fields with embedded delimiters, line breaks and escaped
+ * quotes (""), CRLF / LF / CR line endings and a leading UTF-8 BOM.
+ * Feed chunks with write() and collect the completed rows it returns,
+ * then call end() for the last row.
+ */
+export class CsvParser {
+    constructor({ delimiter = ',' } = {}) {
+        this.delimiter = delimiter;
+        this.row = [];
+        this.field = '';
+        this.state = 'fieldStart';
+        this.started = false;
+    }
+
+    /**
+     * Parse a chunk of text, returning the rows completed by it
+     */
+    write(chunk) {
+        const rows = [];
+        let text = chunk;
+
+        if (!this.started && text.length > 0) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            switch (this.state) {
+                case 'quoted':
+                    if (char === '"') {
+                        this.state = 'quoteInQuoted';
+                    } else {
+                        this.field += char;
+                    }
+                    break;
+
+                case 'quoteInQuoted':
+                    if (char === '"') {
+                        // Escaped quote
+                        this.field += '"';
+                        this.state = 'quoted';
+                    } else {
+                        // Closing quote: handle the char as if outside quotes
+                        this.state = 'unquoted';
+                        i--;
+                    }
+                    break;
+
+                case 'carriageReturn':
+                    this.state = 'fieldStart';
+                    if (char !== '\n') i--;
+                    break;
+
+                case 'fieldStart':
+                    if (char === '"') {
+                        this.state = 'quoted';
+                        break;
+                    }
+                    this.state = 'unquoted';
+                    // falls through
+
+                case 'unquoted':
+                    if (char === this.delimiter) {
+                        this.endField();
+                        this.state = 'fieldStart';
+                    } else if (char === '\n' || char === '\r') {
+                        this.endRow(rows);
+                        this.state = char === '\r' ? 'carriageReturn' : 'fieldStart';
+                    } else {
+                        this.field += char;
+                    }
+                    break;
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Flush the last row (if the input did not end with a line break)
+     */
+    end() {
+        const rows = [];
+        if (this.state === 'quoted') {
+            throw new Error('Unterminated quoted field at end of CSV input');
+        }
+        if (this.field !== '' || this.row.length > 0) {
+            this.endRow(rows);
+        }
+        this.state = 'fieldStart';
+        return rows;
+    }
+
+    endField() {
+        this.row.push(this.field);
+        this.field = '';
+    }
+
+    endRow(rows) {
+        this.endField();
+        // Skip blank lines
+        if (this.row.length > 1 || this.row[0] !== '') {
+            rows.push(this.row);
+        }
+        this.row = [];
+    }
+}
+
+/**
+ * Parse a whole CSV string into rows
+ */
+export function parseCsv(text, options) {
+    const parser = new CsvParser(options);
+    return [...parser.write(text), ...parser.end()];
+}
+
+/**
+ * Parse an async iterable of string/Buffer/Uint8Array chunks
+ * (a fetch response body, a fs read stream...) into rows
+ */
+export async function parseCsvStream(stream, options) {
+    const parser = new CsvParser(options);
+    const decoder = new TextDecoder('utf-8');
+    const rows = [];
+
+    for await (const chunk of stream) {
+        const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        rows.push(...parser.write(text));
+    }
+    rows.push(...parser.write(decoder.decode()));
+    rows.push(...parser.end());
+
+    return rows;
+}
+
+/**
+ * Normalize a header name for lookups ("  Autore " -> "autore", "Categoría" -> "categoria")
+ */
+export function normalizeHeader(name) {
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Turn rows into records using the first row as header.
+ * Each record can be read by header name or by column index.
+ */
+export function rowsToRecords(rows) {
+    const [header = [], ...dataRows] = rows;
+    const keys = header.map(normalizeHeader);
+
+    const records = dataRows.map(row => {
+        const record = {};
+        row.forEach((value, index) => {
+            record[index] = value;
+            if (keys[index] && !(keys[index] in record)) {
+                record[keys[index]] = value;
+            }
+        });
+        return record;
+    });
+
+    return { header: keys, records };
+}
@@ -0,0 +1,58 @@
+import { logger } from './logger.js';
+import config from './config.js';
+import { ContentStore } from './content-store.js';
+import { STATES } from './lifecycle.js';
+
+const USAGE = `Usage: npm run db -- <command>
+  status           Show schema version, journal and perle counts
+  export [file]    Export all perle to JSON (default: data/content-export.json)
+  import <file>    Replace the store contents with a JSON export
+  compact          Fold the journal into a new snapshot`;
+
+const COMMANDS = ['status', 'export', 'import', 'compact'];
+
+// Content store maintenance commands
+async function main() {
+    const [command, file] = process.argv.slice(2);
+    if (!COMMANDS.includes(command)) {
+        console.log(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+    if (command === 'import' && !file) throw new Error('import needs a file');
+    // Opening creates or upgrades the store, so only once the command is known
+    const store = await new ContentStore().open();
+
+    switch (command) {
+        case 'status': {
+            const state = store.load();
+            const perle = [...state.perle.values()];
+            logger.step(`Store: ${store.dir}`);
+            logger.step(`Schema v${state.schemaVersion}, seq ${state.seq}, ${state.pending} journal entries pending`);
+            const byState = Object.values(STATES)
+                .map(state => `${state} ${perle.filter(p => p.state === state).length}`)
+                .join(', ');
+            logger.step(`Perle: ${perle.length} (${byState})`);
+            break;
+        }
+        case 'export': {
+            const target = file || config.db.exportFile;
+            const count = store.export(target);
+            logger.success(`Exported ${count} perle to ${target}`);
+            break;
+        }
+        case 'import': {
+            const count = await store.import(file);
+            logger.success(`Imported ${count} perle from ${file}`);
+            break;
+        }
+        case 'compact':
+            await store.compact();
+            logger.success('Journal compacted');
+            break;
+    }
+}
+
+main().catch(error => {
+    logger.error(`${error.name}: ${error.message}`);
+    process.exit(1);
+});
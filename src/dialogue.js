@@ -0,0 +1,172 @@
+/**
+ * Dialogue parsing: splits a perla into speaker turns so each speaker
+ * can be narrated with its own voice.
+ *
+ * A turn is { speaker, text }; speaker is null for the author of the perla.
+ */
+
+const QUOTES = {
+    '"': '"',
+    '“': '”',
+    '«': '»',
+    "'": "'",
+    '‘': '’',
+};
+
+const WORD = "[^\\s.!?:;,]+";
+const SPEAKER = `(${WORD}(?:\\s+${WORD}){0,3}?)`;
+
+// Replies: everything up to the next marker belongs to the speaker
+const REPLY_PATTERNS = [
+    // "Risposta di un papà: ...", "Risposta della maestra: ..."
+    new RegExp(`\\brisposta\\s+d(?:i|el|ella|ello|ei|egli|elle|all['’]|ell['’])\\s*${SPEAKER}\\s*:\\s*`, 'giu'),
+    // "Risponde la rappresentante: ..."
+    new RegExp(`\\b(?:risponde|replica)\\s+${SPEAKER}\\s*:\\s*`, 'giu'),
+];
+
+// Reported speech: only the quoted text belongs to the speaker
+const SPEECH_PATTERN = new RegExp(
+    `${SPEAKER}\\s+(?:ha\\s+|aveva\\s+)?(?:detto|dice|scritto|scrive|risposto|risponde|chiesto|chiede|urlato|urla)\\s*:\\s*(?=["“«'‘])`,
+    'giu'
+);
+
+// "Maestra: ..." at the start of a line
+const LABEL_PATTERN = /^([A-ZÀ-Ý][^\s.!?:;,]*(?:\s+[^\s.!?:;,]+){0,2})\s*:\s+(\S.*)$/u;
+
+/**
+ * Strip wrapping quotes and a stray quote left at either end of a turn
+ */
+function cleanTurnText(text) {
+    let result = text.trim();
+    const close = QUOTES[result[0]];
+    if (close && result.endsWith(close) && result.length > 1) {
+        result = result.slice(1, -1).trim();
+    }
+    return result
+        .replace(/^[.,;:]?\s*["“”«»'‘’]?\s*/, '')
+        .replace(/([.!?…])["”»'’](?=\s|$)/g, '$1')
+        .trim();
+}
+
+/**
+ * Index of the quote closing the one opened at `start`, or -1
+ */
+function findClosingQuote(text, start) {
+    const close = QUOTES[text[start]];
+    for (let i = start + 1; i < text.length; i++) {
+        // An apostrophe inside a word is not a closing quote
+        if (text[i] === close && !(close === "'" && /\p{L}/u.test(text[i + 1] || ''))) return i;
+    }
+    return -1;
+}
+
+function speakerKey(speaker) {
+    return speaker ? speaker.toLowerCase().replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * Lines shaped like "Speaker: text". Used only when at least two lines
+ * have a label, so a single "Mamme, domanda: ..." stays a monologue.
+ */
+function parseLabeledLines(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const labeled = lines.map(line => LABEL_PATTERN.exec(line));
+    if (labeled.filter(Boolean).length < 2) return null;
+
+    const turns = [];
+    lines.forEach((line, index) => {
+        const match = labeled[index];
+        if (match) {
+            turns.push({ speaker: match[1], text: match[2] });
+        } else if (turns.length > 0) {
+            turns[turns.length - 1].text += ` ${line}`;
+        } else {
+            turns.push({ speaker: null, text: line });
+        }
+    });
+    return turns;
+}
+
+/**
+ * Turn markers found in the text, in order: { index, end, speaker, quoteEnd }
+ */
+function findMarkers(text) {
+    const markers = [];
+    for (const pattern of REPLY_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            markers.push({ index: match.index, end: match.index + match[0].length, speaker: match[1] });
+        }
+    }
+    for (const match of text.matchAll(SPEECH_PATTERN)) {
+        const end = match.index + match[0].length;
+        const quoteEnd = findClosingQuote(text, end);
+        if (quoteEnd === -1) continue;
+        // Single quoted words are citations, not speech
+        if (text.substring(end + 1, quoteEnd).trim().split(/\s+/).length < 3) continue;
+        markers.push({ index: match.index, end, speaker: match[1], quoteEnd });
+    }
+    markers.sort((a, b) => a.index - b.index);
+    // Drop markers overlapping an earlier one
+    return markers.filter((marker, i) => i === 0 || marker.index >= (markers[i - 1].quoteEnd ?? markers[i - 1].end));
+}
+
+/**
+ * Split a perla into speaker turns. Text without dialogue cues is a
+ * single turn of the author.
+ */
+export function parseDialogue(text) {
+    const labeled = parseLabeledLines(text);
+    if (labeled) return mergeTurns(labeled);
+
+    const turns = [];
+    let position = 0;
+    let speaker = null;
+    for (const marker of findMarkers(text)) {
+        turns.push({ speaker, text: text.substring(position, marker.index) });
+        if (marker.quoteEnd !== undefined) {
+            // Speech attribution stays with the current speaker
+            turns[turns.length - 1].text += ` ${text.substring(marker.index, marker.end)}`;
+            turns.push({ speaker: marker.speaker, text: text.substring(marker.end, marker.quoteEnd + 1) });
+            position = marker.quoteEnd + 1;
+        } else {
+            speaker = marker.speaker;
+            position = marker.end;
+        }
+    }
+    turns.push({ speaker, text: text.substring(position) });
+    return mergeTurns(turns);
+}
+
+/**
+ * Clean turn texts, drop empty turns and join consecutive turns of the
+ * same speaker
+ */
+function mergeTurns(turns) {
+    const merged = [];
+    for (const turn of turns) {
+        const text = cleanTurnText(turn.text.replace(/\s+/g, ' '));
+        if (!/[\p{L}\p{N}]/u.test(text)) continue;
+        const last = merged[merged.length - 1];
+        if (last && speakerKey(last.speaker) === speakerKey(turn.speaker)) {
+            last.text = `${last.text} ${text}`;
+        } else {
+            merged.push({ speaker: turn.speaker, text });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Assign a voice to each turn: the author gets voices[0], every other
+ * speaker the next voice in order of appearance (cycling if needed)
+ */
+export function assignVoices(turns, voices) {
+    const others = voices.length > 1 ? voices.slice(1) : voices;
+    const speakers = new Map();
+    return turns.map(turn => {
+        const key = speakerKey(turn.speaker);
+        if (key === null) return { ...turn, voice: voices[0] };
+        if (!speakers.has(key)) speakers.set(key, others[speakers.size % others.length]);
+        return { ...turn, voice: speakers.get(key) };
+    });
+}
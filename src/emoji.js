@@ -0,0 +1,204 @@
+import { loadImage } from 'canvas';
+import { createRequire } from 'module';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+
+/**
+ * Emoji support: Twemoji images (emoji-datasource-twitter) drawn inline
+ * with the text, and emoji-free text for the narration.
+ *
+ * Emojis are matched with the RGI_Emoji property, so ZWJ sequences
+ * (👨‍👩‍👧), flags (🇮🇹), keycaps and skin tones (👍🏽) are single emojis.
+ */
+
+const require = createRequire(import.meta.url);
+const EMOJI_PATTERN = /\p{RGI_Emoji}/gv;
+const VARIATION_SELECTOR = /\u{FE0F}/gu;
+
+// Short descriptions read by the narration when TTS_EMOJI=describe
+const DESCRIPTIONS = {
+    '😂': 'faccina che ride',
+    '🤣': 'faccina che ride',
+    '😅': 'risata nervosa',
+    '😆': 'faccina che ride',
+    '😄': 'faccina sorridente',
+    '😊': 'faccina sorridente',
+    '😉': 'occhiolino',
+    '😍': 'faccina innamorata',
+    '😘': 'bacio',
+    '😭': 'faccina che piange',
+    '😢': 'faccina triste',
+    '😱': 'faccina terrorizzata',
+    '😳': 'faccina imbarazzata',
+    '🙄': 'occhi al cielo',
+    '😡': 'faccina arrabbiata',
+    '🤬': 'faccina arrabbiata',
+    '🤔': 'faccina pensierosa',
+    '🤦': 'mano sulla fronte',
+    '🤷': 'alzata di spalle',
+    '🙏': 'mani giunte',
+    '👍': 'pollice in su',
+    '👎': 'pollice in giù',
+    '👏': 'applausi',
+    '💪': 'bicipite',
+    '❤': 'cuore',
+    '💩': 'cacca',
+    '🔥': 'fuoco',
+    '🎉': 'festa',
+    '⚠': 'attenzione',
+};
+
+let index = null;
+
+/**
+ * Codepoints of an emoji as in the dataset file names, without
+ * variation selectors: "1f468-200d-1f469-200d-1f467"
+ */
+function emojiKey(emoji) {
+    return [...emoji.replace(VARIATION_SELECTOR, '')]
+        .map(char => char.codePointAt(0).toString(16))
+        .join('-');
+}
+
+function unifiedKey(unified) {
+    return unified.split('-')
+        .map(code => parseInt(code, 16).toString(16))
+        .filter(code => code !== 'fe0f')
+        .join('-');
+}
+
+/**
+ * Map from emoji key to image file, built on first use
+ */
+function emojiIndex() {
+    if (index) return index;
+    index = new Map();
+    try {
+        const dataPath = require.resolve('emoji-datasource-twitter');
+        const imageDir = path.join(path.dirname(dataPath), 'img', 'twitter', '64');
+        const add = (entry) => {
+            if (entry.has_img_twitter) index.set(unifiedKey(entry.unified), path.join(imageDir, entry.image));
+        };
+        for (const entry of require(dataPath)) {
+            add(entry);
+            Object.values(entry.skin_variations || {}).forEach(add);
+        }
+    } catch (error) {
+        logger.warn(`Emoji images not available (${error.message}): emojis will not be drawn`);
+    }
+    return index;
+}
+
+/**
+ * Split text into runs of plain text and single emojis:
+ * [{ text } | { emoji }]
+ */
+export function splitEmoji(text) {
+    const parts = [];
+    let position = 0;
+    for (const match of text.matchAll(EMOJI_PATTERN)) {
+        if (match.index > position) parts.push({ text: text.substring(position, match.index) });
+        parts.push({ emoji: match[0] });
+        position = match.index + match[0].length;
+    }
+    if (position < text.length) parts.push({ text: text.substring(position) });
+    return parts;
+}
+
+export function hasEmoji(text) {
+    return text.search(EMOJI_PATTERN) !== -1;
+}
+
+/**
+ * Text without emojis, for captions and narration
+ */
+export function stripEmoji(text) {
+    return text
+        .replace(EMOJI_PATTERN, ' ')
+        .replace(/[ \t]+([.,;:!?…])/g, '$1')
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+}
+
+/**
+ * Text for the narration: emojis dropped, or replaced by a short
+ * description (repeated emojis are described once) with TTS_EMOJI=describe
+ */
+export function speechText(text, mode = config.tts.emoji) {
+    if (mode !== 'describe') return stripEmoji(text);
+    const described = text.replace(/(\p{RGI_Emoji})(?:\s*\1)*/gv, (_, emoji) => {
+        const base = [...emoji.replace(VARIATION_SELECTOR, '')][0];
+        return DESCRIPTIONS[base] ? ` (${DESCRIPTIONS[base]}) ` : ' ';
+    });
+    return stripEmoji(described);
+}
+
+const images = new Map();
+
+/**
+ * Load the images of the emojis used in the texts, so they can be drawn
+ * synchronously while rendering frames
+ */
+export async function preloadEmoji(texts) {
+    const emojis = new Set(texts.flatMap(text => text.match(EMOJI_PATTERN) || []));
+    for (const emoji of emojis) {
+        const key = emojiKey(emoji);
+        if (images.has(key)) continue;
+        const file = emojiIndex().get(key);
+        images.set(key, file ? await loadImage(file).catch(() => null) : null);
+    }
+}
+
+function fontSize(ctx) {
+    return parseFloat(/(\d+(?:\.\d+)?)px/.exec(ctx.font)?.[1] || '16');
+}
+
+/**
+ * Width of a text with the current ctx.font, emojis counted as squares
+ * one font size wide
+ */
+export function measureText(ctx, text) {
+    if (!hasEmoji(text)) return ctx.measureText(text).width;
+    const size = fontSize(ctx) * 1.1;
+    return splitEmoji(text).reduce((width, part) => width + (part.emoji ? size : ctx.measureText(part.text).width), 0);
+}
+
+/**
+ * ctx.fillText() drawing emojis as images, honoring textAlign and
+ * textBaseline (top, middle or alphabetic). Emojis without an image
+ * (or not preloaded) fall back to the font.
+ */
+export function fillText(ctx, text, x, y) {
+    if (!hasEmoji(text)) {
+        ctx.fillText(text, x, y);
+        return;
+    }
+    const fontPx = fontSize(ctx);
+    const size = fontPx * 1.1;
+    const width = measureText(ctx, text);
+    const align = ctx.textAlign;
+    let left = align === 'center' ? x - width / 2 : align === 'right' || align === 'end' ? x - width : x;
+    const top = ctx.textBaseline === 'top' ? y - fontPx * 0.05
+        : ctx.textBaseline === 'middle' ? y - size / 2
+        : y - fontPx * 0.9;
+
+    ctx.save();
+    ctx.textAlign = 'left';
+    for (const part of splitEmoji(text)) {
+        if (part.text) {
+            ctx.fillText(part.text, left, y);
+            left += ctx.measureText(part.text).width;
+            continue;
+        }
+        const image = images.get(emojiKey(part.emoji));
+        if (image) {
+            ctx.drawImage(image, left + fontPx * 0.05, top, fontPx, fontPx);
+        } else {
+            ctx.fillText(part.emoji, left, y);
+        }
+        left += size;
+    }
+    ctx.restore();
+}
@@ -0,0 +1,165 @@
+import config from './config.js';
+
+/**
+ * Named encoding profiles for the generated MP4s: output size, frame rate,
+ * quality (CRF with a bitrate cap) and the limits of the target platform.
+ *
+ * Frames are drawn at config.video.width × height and scaled (letterboxed
+ * if the aspect ratio differs) to the profile size.
+ */
+export const PROFILES = {
+    tiktok: {
+        label: 'TikTok',
+        width: 1080,
+        height: 1920,
+        fps: 30,
+        crf: 20,
+        preset: 'medium',
+        maxBitrate: '8M',
+        bufferSize: '16M',
+        audioBitrate: '192k',
+        audioChannels: 2,
+        minDuration: 3,
+        maxDuration: 600,
+        maxSizeMb: 287,
+    },
+    reels: {
+        label: 'Instagram Reels',
+        width: 1080,
+        height: 1920,
+        fps: 30,
+        crf: 21,
+        preset: 'medium',
+        maxBitrate: '6M',
+        bufferSize: '12M',
+        audioBitrate: '128k',
+        audioChannels: 2,
+        minDuration: 3,
+        maxDuration: 180,
+        maxSizeMb: 1024,
+    },
+    shorts: {
+        label: 'YouTube Shorts',
+        width: 1080,
+        height: 1920,
+        fps: 30,
+        crf: 20,
+        preset: 'medium',
+        maxBitrate: '10M',
+        bufferSize: '20M',
+        audioBitrate: '192k',
+        audioChannels: 2,
+        minDuration: 1,
+        maxDuration: 180,
+        maxSizeMb: 2048,
+    },
+    // Low-bandwidth copy for Telegram (bots can send up to 50 MB)
+    'telegram-preview': {
+        label: 'Telegram preview',
+        width: 540,
+        height: 960,
+        fps: 24,
+        crf: 30,
+        preset: 'veryfast',
+        maxBitrate: '900k',
+        bufferSize: '1800k',
+        audioBitrate: '64k',
+        audioChannels: 1,
+        minDuration: 1,
+        maxDuration: 600,
+        maxSizeMb: 50,
+    },
+};
+
+export class InvalidVideoError extends Error {
+    constructor(videoPath, profile, problems) {
+        super(`${videoPath} does not meet the ${profile.label} limits: ${problems.join('; ')}`);
+        this.name = 'InvalidVideoError';
+        this.videoPath = videoPath;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Profile by name (default: VIDEO_PROFILE)
+ */
+export function getProfile(name = config.video.profile) {
+    const profile = PROFILES[name];
+    if (!profile) {
+        throw new Error(`Unknown encoding profile "${name}" (available: ${Object.keys(PROFILES).join(', ')})`);
+    }
+    return { ...profile, id: name };
+}
+
+/**
+ * Length of the output: the content, padded up to the profile minimum and
+ * VIDEO_DURATION (the last frame is held)
+ */
+export function targetDuration(contentDuration, profile, minDuration = config.video.duration) {
+    return Math.max(contentDuration, profile.minDuration, minDuration);
+}
+
+/**
+ * Video filter scaling the frames to the profile size, keeping the aspect ratio
+ */
+export function scaleFilter(profile) {
+    const { width, height } = profile;
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+}
+
+/**
+ * FFmpeg output options for a profile (H.264 + AAC in an MP4 that starts playing before it is fully downloaded)
+ */
+export function encodingOptions(profile) {
+    return [
+        '-c:v libx264',
+        `-preset ${profile.preset}`,
+        `-crf ${profile.crf}`,
+        `-maxrate ${profile.maxBitrate}`,
+        `-bufsize ${profile.bufferSize}`,
+        '-pix_fmt yuv420p',
+        `-r ${profile.fps}`,
+        '-c:a aac',
+        `-b:a ${profile.audioBitrate}`,
+        `-ac ${profile.audioChannels}`,
+        '-ar 44100',
+        '-movflags +faststart',
+    ];
+}
+
+function frameRate(rate) {
+    const [num, den = 1] = String(rate).split('/').map(Number);
+    return den ? num / den : 0;
+}
+
+/**
+ * Problems of a rendered file against a profile, from its ffprobe data
+ * (empty when the file is valid)
+ */
+export function checkOutput(probe, profile) {
+    const problems = [];
+    const video = probe.streams.find(stream => stream.codec_type === 'video');
+    const audio = probe.streams.find(stream => stream.codec_type === 'audio');
+    const duration = parseFloat(probe.format.duration);
+    const sizeMb = Number(probe.format.size) / (1024 * 1024);
+
+    if (!video) problems.push('no video stream');
+    if (!audio) problems.push('no audio stream');
+    if (video) {
+        if (video.codec_name !== 'h264') problems.push(`video codec ${video.codec_name}, expected h264`);
+        if (video.width !== profile.width || video.height !== profile.height) {
+            problems.push(`size ${video.width}x${video.height}, expected ${profile.width}x${profile.height}`);
+        }
+        if (video.pix_fmt !== 'yuv420p') problems.push(`pixel format ${video.pix_fmt}, expected yuv420p`);
+        const fps = frameRate(video.avg_frame_rate !== '0/0' ? video.avg_frame_rate : video.r_frame_rate);
+        if (Math.abs(fps - profile.fps) > 0.5) problems.push(`${fps.toFixed(2)} fps, expected ${profile.fps}`);
+    }
+    if (audio && audio.codec_name !== 'aac') problems.push(`audio codec ${audio.codec_name}, expected aac`);
+    if (video && audio && Math.abs(parseFloat(video.duration) - parseFloat(audio.duration)) > 1) {
+        problems.push(`audio (${parseFloat(audio.duration).toFixed(1)}s) and video (${parseFloat(video.duration).toFixed(1)}s) lengths differ`);
+    }
+    if (!(duration >= profile.minDuration - 0.1)) problems.push(`duration ${duration.toFixed(1)}s, minimum ${profile.minDuration}s`);
+    if (duration > profile.maxDuration) problems.push(`duration ${duration.toFixed(1)}s, maximum ${profile.maxDuration}s`);
+    if (sizeMb > profile.maxSizeMb) problems.push(`${sizeMb.toFixed(1)} MB, maximum ${profile.maxSizeMb} MB`);
+    return problems;
+}
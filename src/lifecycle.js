@@ -0,0 +1,68 @@
+/**
+ * Perla lifecycle:
+ * ingested → approved → rendered → delivered → posted, plus rejected / archived
+ */
+export const STATES = {
+    INGESTED: 'ingested',
+    APPROVED: 'approved',
+    RENDERED: 'rendered',
+    DELIVERED: 'delivered',
+    POSTED: 'posted',
+    REJECTED: 'rejected',
+    ARCHIVED: 'archived',
+};
+
+/**
+ * Allowed transitions from each state
+ */
+export const TRANSITIONS = {
+    [STATES.INGESTED]: [STATES.APPROVED, STATES.REJECTED, STATES.ARCHIVED],
+    [STATES.APPROVED]: [STATES.RENDERED, STATES.REJECTED, STATES.ARCHIVED],
+    // Back to approved when the rendered video has to be thrown away
+    [STATES.RENDERED]: [STATES.DELIVERED, STATES.POSTED, STATES.APPROVED, STATES.ARCHIVED],
+    [STATES.DELIVERED]: [STATES.POSTED, STATES.ARCHIVED],
+    [STATES.POSTED]: [STATES.ARCHIVED],
+    [STATES.REJECTED]: [STATES.APPROVED, STATES.ARCHIVED],
+    [STATES.ARCHIVED]: [STATES.INGESTED],
+};
+
+/**
+ * States in which a perla has already gone out
+ */
+export const PUBLISHED_STATES = [STATES.DELIVERED, STATES.POSTED];
+
+export class InvalidTransitionError extends Error {
+    constructor(perlaId, from, to) {
+        super(`Perla ${perlaId}: cannot go from "${from}" to "${to}" (allowed: ${TRANSITIONS[from]?.join(', ') || 'none'})`);
+        this.name = 'InvalidTransitionError';
+        this.perlaId = perlaId;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+export function canTransition(from, to) {
+    return TRANSITIONS[from]?.includes(to) || false;
+}
+
+/**
+ * Move a perla to a new state, recording who did it and when.
+ * Mutates and returns the perla.
+ */
+export function applyTransition(perla, to, { actor, note, at = new Date().toISOString() } = {}) {
+    const from = perla.state;
+    if (!canTransition(from, to)) {
+        throw new InvalidTransitionError(perla.id, from, to);
+    }
+    perla.state = to;
+    perla.history = [...(perla.history || []), { from, to, at, actor: actor || 'unknown', ...(note && { note }) }];
+    return perla;
+}
+
+/**
+ * Timestamp of the last transition into `state`, or null
+ */
+export function enteredAt(perla, state) {
+    const entry = [...(perla.history || [])].reverse().find(h => h.to === state);
+    return entry ? entry.at : null;
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import { logger } from './logger.js';
+import config from './config.js';
+import { createPerlaId, isLegacyId, DuplicateIndex } from './perla-id.js';
+
+/**
+ * Merge a duplicate into the perla that is kept, preserving publish history
+ */
+function mergeInto(target, duplicate) {
+    target.aliases = [...new Set([...target.aliases, duplicate.id, ...(duplicate.aliases || [])])];
+
+    if (duplicate.published && (!target.published || duplicate.publishedAt < target.publishedAt)) {
+        target.published = true;
+        target.publishedAt = duplicate.publishedAt;
+        target.tiktokUrl = duplicate.tiktokUrl;
+    }
+}
+
+/**
+ * Remap legacy perla IDs to content-hash IDs (content store schema v1).
+ * Perle that collapse to the same ID (or are near-duplicates) are merged;
+ * the old IDs are kept in `aliases`.
+ */
+export function migratePerle(perle, threshold = config.dedup.threshold) {
+    const byId = new Map();
+    const duplicates = new DuplicateIndex(threshold);
+    const report = { total: perle.length, remapped: 0, merged: 0 };
+
+    for (const perla of perle) {
+        const id = isLegacyId(perla.id) ? createPerlaId(perla.text) : perla.id;
+        const existing = byId.get(id) || duplicates.findNearDuplicate(perla.text)?.perla;
+
+        if (existing) {
+            mergeInto(existing, perla);
+            report.merged++;
+            logger.step(`Merged ${perla.id} into ${existing.id}`);
+            continue;
+        }
+
+        const migrated = { ...perla, id, aliases: perla.aliases || [] };
+        if (id !== perla.id) {
+            migrated.aliases = [...migrated.aliases, perla.id];
+            report.remapped++;
+        }
+        byId.set(id, migrated);
+        duplicates.add(migrated);
+    }
+
+    return { perle: [...byId.values()], report };
+}
+
+// One-off migration of the legacy database (data/content-db.json): after a
+// backup it is imported into the content store, whose schema v1 migration
+// remaps the IDs with migratePerle(). --dry-run only reports.
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const dbPath = config.db.contentFile;
+    const { ContentStore } = await import('./content-store.js');
+    const store = new ContentStore();
+
+    if (fs.existsSync(store.snapshotPath)) {
+        logger.step(`Content store ${store.dir} already exists: its perla IDs were migrated when it was created`);
+        return;
+    }
+    if (!fs.existsSync(dbPath)) {
+        throw new Error(`No legacy database at ${dbPath}`);
+    }
+
+    logger.step(`Migrating perla IDs in ${dbPath}${dryRun ? ' (dry run)' : ''}`);
+    const db = JSON.parse(fs.readFileSync(dbPath, 'utf-8'));
+    if (dryRun) {
+        const { perle, report } = migratePerle(db.perle);
+        const publishedBefore = db.perle.filter(p => p.published).length;
+        const publishedAfter = perle.filter(p => p.published).length;
+        logger.step(`Perle: ${report.total} -> ${perle.length} (${report.remapped} remapped, ${report.merged} merged)`);
+        logger.step(`Published: ${publishedBefore} entries -> ${publishedAfter} perle`);
+        return;
+    }
+
+    const backupPath = `${dbPath}.bak-${Date.now()}`;
+    fs.copyFileSync(dbPath, backupPath);
+    logger.step(`Backup saved: ${backupPath}`);
+
+    await store.open();
+    logger.success(`Migration completed: content store created in ${store.dir}`);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        logger.error(`Migration failed: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -13,6 +13,9 @@ class TelegramNotifier {
         this.baseUrl = `https://api.telegram.org/bot${this.token}`;
     }
 
+    /**
+     * Send a message; resolves to true when it was sent
+     */
     async sendMessage(text) {
         try {
             await axios.post(`${this.baseUrl}/sendMessage`, {
@@ -21,11 +24,17 @@ class TelegramNotifier {
                 parse_mode: 'HTML'
             });
             logger.success('Telegram message sent');
+            return true;
         } catch (error) {
             logger.error('Failed to send Telegram message:', error.message);
+            return false;
         }
     }
 
+    /**
+     * Send a video; resolves to the sent message. Throws on failure, with
+     * the HTTP `status` of the Bot API when it answered (see isTransientError).
+     */
     async sendVideo(videoPath, caption) {
         try {
             logger.step('Sending video to Telegram...');
@@ -46,15 +55,31 @@ class TelegramNotifier {
 
             if (response.data.ok) {
                 logger.success('Video sent to Telegram successfully');
-                return true;
+                return response.data.result;
             } else {
                 throw new Error(response.data.description);
             }
         } catch (error) {
-            logger.error('Failed to send video to Telegram:', error.response?.data?.description || error.message);
-            return false;
+            const description = error.response?.data?.description || error.message;
+            logger.error('Failed to send video to Telegram:', description);
+            throw Object.assign(new Error(`Telegram delivery failed: ${description}`), {
+                status: error.response?.status,
+                code: error.code,
+            });
         }
     }
+
+    /**
+     * Link to a sent message: t.me for channels and supergroups, a
+     * telegram: reference for private chats (they have no public link)
+     */
+    messageLink(message) {
+        const { chat, message_id: messageId } = message;
+        if (chat.username) return `https://t.me/${chat.username}/${messageId}`;
+        const chatId = String(chat.id);
+        if (chatId.startsWith('-100')) return `https://t.me/c/${chatId.substring(4)}/${messageId}`;
+        return `telegram:${chatId}/${messageId}`;
+    }
 }
 
 export default TelegramNotifier;
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+
+const ID_PATTERN = /^perla-[0-9a-f]{16}$/;
+
+/**
+ * Normalize perla text for hashing and comparison:
+ * lowercase, no accents, no punctuation/emoji, single spaces
+ */
+export function normalizeText(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Stable ID derived from the normalized text
+ */
+export function createPerlaId(text) {
+    const hash = crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+    return `perla-${hash.substring(0, 16)}`;
+}
+
+/**
+ * True for IDs generated by older schemes (perla-0, perla-Mammescusate-133...)
+ */
+export function isLegacyId(id) {
+    return !ID_PATTERN.test(id);
+}
+
+/**
+ * Character trigrams of the normalized text
+ */
+export function trigrams(text) {
+    const normalized = ` ${normalizeText(text)} `;
+    const grams = new Set();
+    for (let i = 0; i < normalized.length - 2; i++) {
+        grams.add(normalized.substring(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Dice similarity (0..1) between two trigram sets
+ */
+export function similarity(gramsA, gramsB) {
+    if (gramsA.size === 0 || gramsB.size === 0) return 0;
+    let shared = 0;
+    for (const gram of gramsA) {
+        if (gramsB.has(gram)) shared++;
+    }
+    return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+/**
+ * Index of existing perle for near-duplicate lookups
+ */
+export class DuplicateIndex {
+    constructor(threshold) {
+        this.threshold = threshold;
+        this.entries = [];
+    }
+
+    add(perla) {
+        this.entries.push({ perla, grams: trigrams(perla.text) });
+    }
+
+    /**
+     * Most similar indexed perla above the threshold, or null
+     */
+    findNearDuplicate(text) {
+        const grams = trigrams(text);
+        let best = null;
+        for (const entry of this.entries) {
+            const score = similarity(grams, entry.grams);
+            if (score >= this.threshold && (!best || score > best.score)) {
+                best = { perla: entry.perla, score };
+            }
+        }
+        return best;
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Metadata appended to perla texts by gruppoclasse.it:
+ *
+ *   "...se è panna la montiamo.'\nGITE / FESTE📅 30/12/2025 · 👤 Superpapà"
+ *
+ * extractMetadata() splits it into the clean body and { category, date, author }.
+ */
+
+// [CATEGORY] [📅] dd/mm/yyyy [· 👤 Author] at the end of the text
+const METADATA_PATTERN = /(?:^|\s)(?:(\p{Lu}[\p{Lu}\d /&'’.-]*?)\s*)?(📅)?\s*(?<!\d)(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s*(?:·\s*👤?|👤)\s*([^\n]+?))?\s*$/u;
+
+// Fragments left when the metadata could not be parsed
+const LEFTOVER_PATTERN = /📅|👤/u;
+// Sheet columns glued to the text by a broken CSV export: "...?,Audio / vocali,Mamma,03/12/2025,1"
+const CSV_PATTERN = /,[^,\n]*,\s*\d{1,2}\/\d{1,2}\/\d{4}\s*(?:,|$)/u;
+
+/**
+ * "GITE / FESTE" → "Gite / feste", as categories are stored
+ */
+function formatCategory(category) {
+    const words = category.trim().replace(/\s+/g, ' ').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * dd/mm/yyyy to an ISO date (YYYY-MM-DD), null if it is not a real date
+ */
+function isoDate(day, month, year) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) return null;
+    return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Split a perla text into its body and trailing metadata.
+ * Returns { text, metadata: { category, date, author } | null, issue }:
+ * `issue` describes what looks like metadata but could not be parsed.
+ */
+export function extractMetadata(rawText) {
+    const text = String(rawText).trim();
+    const match = METADATA_PATTERN.exec(text);
+    // A bare date at the end of a sentence is part of the text
+    const isMetadata = match && (match[1] || match[2] || match[6]);
+
+    if (isMetadata) {
+        const [, category, , day, month, year, author] = match;
+        const date = isoDate(day, month, year);
+        const body = text.substring(0, match.index).trim();
+        if (!date) return { text, metadata: null, issue: `invalid date ${day}/${month}/${year}` };
+        if (!body) return { text, metadata: null, issue: 'no text before the metadata' };
+        return {
+            text: body,
+            metadata: {
+                category: category ? formatCategory(category) : null,
+                date,
+                author: author ? author.trim() : null,
+            },
+            issue: LEFTOVER_PATTERN.test(body) ? 'metadata markers left in the text' : null,
+        };
+    }
+
+    let issue = null;
+    if (LEFTOVER_PATTERN.test(text)) issue = 'metadata markers not in the expected format';
+    else if (CSV_PATTERN.test(text)) issue = 'sheet columns merged into the text';
+    return { text, metadata: null, issue };
+}
+
+/**
+ * Date of a perla as shown in the chat: "30 dicembre 2025"
+ */
+export function formatDate(isoDateString) {
+    if (!isoDateString) return '';
+    return new Intl.DateTimeFormat('it-IT', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+        .format(new Date(`${isoDateString}T00:00:00Z`));
+}
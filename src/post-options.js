@@ -0,0 +1,75 @@
+import { logger } from './logger.js';
+import config from './config.js';
+import { nextOccurrences, zonedParts } from './cron-utils.js';
+
+/**
+ * TikTok post settings: TIKTOK_* defaults, overridden by the calendar slot
+ * (or pin) "post" object:
+ *
+ *   "post": { "visibility": "friends", "allowDuet": false, "schedule": "20:30", "coverAt": 4.5 }
+ *
+ * schedule is a wall-clock time in the calendar timezone, "HH:MM" (next
+ * occurrence) or "YYYY-MM-DDTHH:MM", and uses TikTok's own scheduled posts.
+ */
+
+export const VISIBILITIES = ['public', 'friends', 'private'];
+
+const MINUTE = 60 * 1000;
+// TikTok accepts scheduled posts from 15 minutes to 10 days ahead
+const SCHEDULE_MIN_MS = 15 * MINUTE;
+const SCHEDULE_MAX_MS = 10 * 24 * 60 * MINUTE;
+
+/**
+ * Check a "post" object from the calendar; throws on invalid values
+ */
+export function validatePostOptions(post = {}, where = 'post') {
+    if (post.visibility && !VISIBILITIES.includes(post.visibility)) {
+        throw new Error(`${where}: unknown visibility "${post.visibility}" (available: ${VISIBILITIES.join(', ')})`);
+    }
+    if (post.schedule && !/^(?:\d{4}-\d{2}-\d{2}T)?\d{2}:\d{2}$/.test(post.schedule)) {
+        throw new Error(`${where}: schedule "${post.schedule}" should be HH:MM or YYYY-MM-DDTHH:MM`);
+    }
+    if (post.coverAt !== undefined && post.coverAt !== null && !(post.coverAt >= 0)) {
+        throw new Error(`${where}: coverAt should be a number of seconds`);
+    }
+    return post;
+}
+
+/**
+ * Time of a schedule ("HH:MM" or "YYYY-MM-DDTHH:MM") in the timezone, after `now`
+ */
+export function scheduleTime(schedule, timezone, now = new Date()) {
+    const [, date, hour, minute] = /^(?:(\d{4}-\d{2}-\d{2})T)?(\d{2}):(\d{2})$/.exec(schedule);
+    const [, month, day] = date ? date.split('-').map(Number) : [];
+    const cron = `${Number(minute)} ${Number(hour)} ${date ? `${day} ${month}` : '* *'} *`;
+    const [time] = nextOccurrences(cron, timezone, now, 1, 11);
+    // The date is not within the look-ahead (e.g. another year)
+    if (!time || (date && zonedParts(time, timezone).date !== date)) return null;
+    return time;
+}
+
+/**
+ * Post settings for a run: { visibility, allowComments, allowDuet,
+ * allowStitch, aiGenerated, scheduleAt (Date or null), coverAt (seconds or null) }.
+ * A schedule TikTok would refuse (too soon or too far) falls back to posting now.
+ */
+export function resolvePostOptions({ slot = null, pin = null, timezone = config.schedule.timezone, now = new Date() } = {}) {
+    const { schedule, ...options } = { ...config.tiktok.post, ...slot?.post, ...pin?.post };
+    validatePostOptions({ ...options, schedule });
+
+    let scheduleAt = schedule ? scheduleTime(schedule, timezone, now) : null;
+    if (scheduleAt) {
+        // The picker has 5-minute steps
+        scheduleAt = new Date(Math.ceil(scheduleAt.getTime() / (5 * MINUTE)) * 5 * MINUTE);
+        const ahead = scheduleAt.getTime() - now.getTime();
+        if (ahead < SCHEDULE_MIN_MS || ahead > SCHEDULE_MAX_MS) {
+            logger.warn(`Scheduled time ${scheduleAt.toISOString()} is outside TikTok's 15 minutes - 10 days window: posting now`);
+            scheduleAt = null;
+        }
+    } else if (schedule) {
+        logger.warn(`Schedule "${schedule}" is not in the next 10 days: posting now`);
+    }
+
+    // Without coverAt the cover is left to TikTok, and the cover editor is not opened
+    return { ...options, scheduleAt, coverAt: options.coverAt ?? null };
+}
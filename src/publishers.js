@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+import { withRetry, isTransientError } from './retry.js';
+import { buildCaption } from './captions.js';
+import { TikTokClient } from './tiktok-client.js';
+import { VideoGenerator } from './video-generator.js';
+import { resolvePostOptions } from './post-options.js';
+import { SessionManager } from './tiktok-session.js';
+
+/**
+ * Publishers take a rendered perla somewhere: publish(perla, { slot, pin,
+ * timezone }) resolves to { url, posted }. `posted` is true when the video
+ * is live on TikTok, else it was delivered for a manual upload; `url` is
+ * null when unknown. A slot tries its publishers in order
+ * (PUBLISHERS=tiktok,telegram: "TikTok, else Telegram for manual upload").
+ */
+
+// Largest file a bot can send
+const TELEGRAM_MAX_MB = 50;
+
+export class PublishError extends Error {
+    constructor(failures) {
+        super(`No publisher succeeded (${failures.map(f => `${f.publisher}: ${f.error}`).join('; ')})`);
+        this.name = 'PublishError';
+        this.failures = failures;
+    }
+}
+
+/**
+ * Sends the video to the Telegram chat, for a manual upload
+ */
+export class TelegramPublisher {
+    constructor(notifier) {
+        this.name = 'telegram';
+        this.notifier = notifier;
+    }
+
+    /**
+     * File to send: the rendered MP4, or a low-bandwidth copy when
+     * VIDEO_TELEGRAM_PREVIEW is set or the MP4 is over the bot API limit
+     */
+    async videoFor(videoPath) {
+        const sizeMb = fs.statSync(videoPath).size / (1024 * 1024);
+        if (!config.video.telegramPreview && sizeMb <= TELEGRAM_MAX_MB) return videoPath;
+        if (!config.video.telegramPreview) logger.warn(`Video is ${sizeMb.toFixed(1)} MB, over the Telegram limit: sending a preview`);
+        return new VideoGenerator().transcode(videoPath, videoPath.replace(/\.[^.]+$/, '-telegram.mp4'), 'telegram-preview');
+    }
+
+    async publish(perla) {
+        if (!this.notifier) {
+            throw new Error('Telegram Notifier not configured! Set TELEGRAM_TOKEN and TELEGRAM_CHAT_ID');
+        }
+        const caption = buildCaption(perla, perla.captionStyle);
+        const videoPath = await this.videoFor(perla.videoPath);
+        try {
+            // A bad token or chat id fails the same way every time
+            const message = await withRetry(() => this.notifier.sendVideo(videoPath, caption), {
+                label: 'Telegram delivery',
+                shouldRetry: isTransientError,
+            });
+            return { url: this.notifier.messageLink(message), posted: false };
+        } finally {
+            if (videoPath !== perla.videoPath) fs.rmSync(videoPath, { force: true });
+        }
+    }
+}
+
+/**
+ * Uploads the video through the TikTok web uploader (saved browser session,
+ * checked before each upload)
+ */
+export class TikTokBrowserPublisher {
+    constructor(notifier = null) {
+        this.name = 'tiktok';
+        this.notifier = notifier;
+    }
+
+    async publish(perla, { slot = null, pin = null, timezone } = {}) {
+        const post = resolvePostOptions({ slot, pin, timezone });
+        const session = new SessionManager({ notifier: this.notifier });
+        const client = new TikTokClient({ session });
+        try {
+            await client.initialize();
+            await session.ensureValid(client);
+            // No retries: a failed attempt may still have gone live
+            await client.uploadVideo(perla.videoPath, client.generateCaption(perla), { ...post, videoDuration: perla.duration });
+            // Keep the cookies TikTok refreshed during the upload
+            await client.saveSession();
+            if (post.scheduleAt) {
+                // Not on the profile before it goes live
+                return { url: null, posted: true, scheduledFor: post.scheduleAt.toISOString() };
+            }
+            const url = await client.findLatestPostUrl();
+            if (!url) {
+                logger.warn(config.tiktok.username
+                    ? 'Post URL not found on the profile: no URL recorded'
+                    : 'TIKTOK_USERNAME not set: post URL not recorded');
+            }
+            return { url, posted: true };
+        } finally {
+            await client.close();
+        }
+    }
+}
+
+/**
+ * Copies the video, cover and caption to a folder (PUBLISH_DIR), e.g. one
+ * synced to the phone
+ */
+export class LocalFolderPublisher {
+    constructor(dir = config.paths.published) {
+        this.name = 'local';
+        this.dir = dir;
+    }
+
+    async publish(perla) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const base = path.join(this.dir, `${new Date().toISOString().substring(0, 10)}-${perla.id}`);
+        fs.copyFileSync(perla.videoPath, `${base}.mp4`);
+        if (perla.coverPath && fs.existsSync(perla.coverPath)) fs.copyFileSync(perla.coverPath, `${base}.jpg`);
+        fs.writeFileSync(`${base}.txt`, `${perla.text}\n\n${config.hashtags.join(' ')}\n`);
+        logger.success(`Video copied to ${base}.mp4`);
+        return { url: `file://${path.resolve(`${base}.mp4`)}`, posted: false };
+    }
+}
+
+export const PUBLISHERS = {
+    telegram: ({ notifier }) => new TelegramPublisher(notifier),
+    tiktok: ({ notifier }) => new TikTokBrowserPublisher(notifier),
+    local: () => new LocalFolderPublisher(),
+};
+
+/**
+ * Publishers of a slot (its "publishers" list, else PUBLISHERS), in order
+ */
+export function createPublishers(names = config.publish.chain, dependencies = {}) {
+    return names.map(name => {
+        const create = PUBLISHERS[name.trim()];
+        if (!create) {
+            throw new Error(`Unknown publisher "${name}" (available: ${Object.keys(PUBLISHERS).join(', ')})`);
+        }
+        return create(dependencies);
+    });
+}
+
+/**
+ * Try each publisher in turn; resolves to { publisher, url, posted, failures }
+ * from the first that succeeds, throws a PublishError if none does
+ */
+export async function publishWithFallback(publishers, perla, context = {}) {
+    const failures = [];
+    for (const publisher of publishers) {
+        try {
+            logger.step(`Publishing via ${publisher.name}...`);
+            const result = await publisher.publish(perla, context);
+            logger.success(`Published via ${publisher.name}${result.url ? `: ${result.url}` : ''}`);
+            return { ...result, publisher: publisher.name, failures };
+        } catch (error) {
+            logger.warn(`Publisher ${publisher.name} failed: ${error.message}`);
+            failures.push({ publisher: publisher.name, error: error.message });
+        }
+    }
+    throw new PublishError(failures);
+}
@@ -0,0 +1,57 @@
+import { logger } from './logger.js';
+import config from './config.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential backoff
+ * capped at maxDelayMs, with ±20% jitter
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs, factor = 2 }) {
+    const delay = Math.min(baseDelayMs * factor ** (attempt - 1), maxDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Run `fn` until it resolves, retrying with exponential backoff.
+ * `shouldRetry(error)` can stop early on errors that will not go away.
+ */
+export async function withRetry(fn, options = {}) {
+    const {
+        label = 'operation',
+        attempts = config.retry.attempts,
+        baseDelayMs = config.retry.baseDelayMs,
+        maxDelayMs = config.retry.maxDelayMs,
+        factor = 2,
+        shouldRetry = () => true,
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= attempts || !shouldRetry(error)) {
+                if (attempts > 1) logger.error(`${label} failed after ${attempt} attempt(s)`);
+                throw error;
+            }
+            const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs, factor });
+            logger.warn(`${label} failed (attempt ${attempt}/${attempts}): ${error.message} - retrying in ${(delay / 1000).toFixed(1)}s`);
+            await sleep(delay);
+        }
+    }
+}
+
+const TRANSIENT_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN',
+    'ENOTFOUND', 'EPIPE', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET',
+];
+
+/**
+ * True for network errors and HTTP 5xx/429, which are worth retrying
+ */
+export function isTransientError(error) {
+    const status = error.response?.status ?? error.status;
+    if (status) return status >= 500 || status === 429;
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return true;
+    return TRANSIENT_CODES.includes(error.code ?? error.cause?.code);
+}
@@ -0,0 +1,86 @@
+import os from 'os';
+import { logger } from './logger.js';
+import { ContentDatabase } from './scraper.js';
+import { STATES } from './lifecycle.js';
+
+const USAGE = `Usage: npm run review -- <command> [ids...] [--note "..."] [--actor name]
+  list [state]       List perle in a state (default: ingested)
+  show <id>          Show a perla with its history
+  approve <ids...>   Approve perle for publishing
+  reject <ids...>    Reject perle (use --note for the reason)
+  archive <ids...>   Archive perle
+  restore <ids...>   Send archived perle back to review
+IDs can be shortened to a unique prefix (e.g. perla-3f2a).`;
+
+const ACTIONS = {
+    approve: STATES.APPROVED,
+    reject: STATES.REJECTED,
+    archive: STATES.ARCHIVED,
+    restore: STATES.INGESTED,
+};
+
+function parseArgs(argv) {
+    const args = { positional: [], note: '', actor: process.env.REVIEW_ACTOR || os.userInfo().username };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--note') args.note = argv[++i];
+        else if (argv[i] === '--actor') args.actor = argv[++i];
+        else args.positional.push(argv[i]);
+    }
+    return args;
+}
+
+function printPerla(perla, full = false) {
+    const text = full ? perla.text : perla.text.replace(/\s+/g, ' ').substring(0, 80);
+    console.log(`${perla.id}  [${perla.state}] ${perla.category || '-'} · ${perla.author || '-'}`);
+    console.log(`    ${text}`);
+    if (full) {
+        for (const entry of perla.history || []) {
+            console.log(`    ${entry.at}  ${entry.from || '-'} → ${entry.to}  by ${entry.actor}${entry.note ? ` (${entry.note})` : ''}`);
+        }
+    }
+}
+
+// Editorial review queue
+async function main() {
+    const { positional: [command, ...ids], note, actor } = parseArgs(process.argv.slice(2));
+    const db = await new ContentDatabase().open();
+
+    if (command === 'list') {
+        const state = ids[0] || STATES.INGESTED;
+        const perle = db.getPerle(state);
+        console.log(`${perle.length} perle in "${state}"\n`);
+        perle.forEach(perla => printPerla(perla));
+        return;
+    }
+
+    if (command === 'show') {
+        const perla = db.findPerla(ids[0] || '');
+        if (!perla) throw new Error(`Perla ${ids[0]} not found`);
+        printPerla(perla, true);
+        return;
+    }
+
+    if (ACTIONS[command] && ids.length > 0) {
+        for (const id of ids) {
+            const perla = db.findPerla(id);
+            if (!perla) {
+                logger.error(`Perla ${id} not found`);
+                continue;
+            }
+            try {
+                await db.transition(perla.id, ACTIONS[command], { actor, note });
+            } catch (error) {
+                logger.error(error.message);
+            }
+        }
+        return;
+    }
+
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+}
+
+main().catch(error => {
+    logger.error(`${error.name}: ${error.message}`);
+    process.exit(1);
+});
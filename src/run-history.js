@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from './logger.js';
+import config from './config.js';
+import { writeFileAtomic } from './content-store.js';
+
+export const OUTCOMES = {
+    RUNNING: 'running',
+    SUCCESS: 'success',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+};
+
+/**
+ * Persisted history of workflow runs (slot, timing, chosen perla, outcome),
+ * capped at `maxEntries`, newest last. With a null filePath runs are only
+ * kept in memory (dry runs).
+ */
+export class RunHistory {
+    constructor(filePath = config.history.file, maxEntries = config.history.maxEntries) {
+        this.filePath = filePath;
+        this.maxEntries = maxEntries;
+        this.memory = [];
+    }
+
+    read() {
+        if (!this.filePath) return this.memory.map(run => ({ ...run }));
+        if (!fs.existsSync(this.filePath)) return [];
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf-8')).runs || [];
+        } catch (error) {
+            // The history is informative only: never block a run because of it
+            logger.error(`Run history unreadable, starting a new one: ${error.message}`);
+            fs.copyFileSync(this.filePath, `${this.filePath}.damaged-${Date.now()}`);
+            return [];
+        }
+    }
+
+    write(runs) {
+        if (!this.filePath) {
+            this.memory = runs.slice(-this.maxEntries);
+            return;
+        }
+        writeFileAtomic(this.filePath, JSON.stringify({ runs: runs.slice(-this.maxEntries) }, null, 2));
+    }
+
+    update(runId, changes) {
+        const runs = this.read();
+        const run = runs.find(r => r.id === runId);
+        if (run) {
+            Object.assign(run, changes);
+            this.write(runs);
+        }
+        return run;
+    }
+
+    /**
+     * Record the start of a run
+     */
+    start({ slot = null, scheduledFor = null, trigger = 'manual' } = {}) {
+        const run = {
+            id: crypto.randomUUID(),
+            slot,
+            scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+            trigger,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            perlaId: null,
+            outcome: OUTCOMES.RUNNING,
+            error: null,
+        };
+        this.write([...this.read(), run]);
+        return run;
+    }
+
+    /**
+     * Record the end of a run: { outcome, perlaId, reason, error }
+     */
+    finish(runId, result) {
+        return this.update(runId, { ...result, endedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Mark runs left "running" by a process that died as failed
+     */
+    markInterrupted(maxRunMs = 2 * 60 * 60 * 1000) {
+        const runs = this.read();
+        const stale = runs.filter(r => r.outcome === OUTCOMES.RUNNING && Date.now() - new Date(r.startedAt) > maxRunMs);
+        for (const run of stale) {
+            Object.assign(run, { outcome: OUTCOMES.FAILED, error: 'interrupted' });
+        }
+        if (stale.length > 0) this.write(runs);
+        return stale.length;
+    }
+
+    /**
+     * Last `limit` runs, newest first
+     */
+    recent(limit = 10) {
+        return this.read().slice(-limit).reverse();
+    }
+
+    /**
+     * True if a run was already recorded for a slot occurrence
+     */
+    hasRun(slot, scheduledFor) {
+        const at = scheduledFor.toISOString();
+        return this.read().some(run => run.slot === slot && run.scheduledFor === at);
+    }
+}
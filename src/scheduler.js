@@ -1,12 +1,39 @@
 import cron from 'node-cron';
+import fs from 'fs';
+import path from 'path';
 import { logger } from './logger.js';
 import { ContentScraper, ContentDatabase } from './scraper.js';
+import { ContentStore } from './content-store.js';
 import { VideoGenerator } from './video-generator.js';
 import TelegramNotifier from './notifier.js';
 import config from './config.js';
+import { STATES } from './lifecycle.js';
+import { PerlaSelector } from './selection.js';
+import { ContentCalendar } from './calendar.js';
+import { zonedParts, occurrencesBetween, nextOccurrences } from './cron-utils.js';
+import { RunHistory, OUTCOMES } from './run-history.js';
+import { buildCaption } from './captions.js';
+import { createPublishers, publishWithFallback } from './publishers.js';
+import { resolvePostOptions } from './post-options.js';
+import { SessionManager } from './tiktok-session.js';
+function floorToMinute(date) {
+    return new Date(Math.floor(date.getTime() / 60000) * 60000);
+}
+function runSlotId(slot, pin) {
+    if (slot) return slot.id;
+    return pin ? `pin:${pin.perlaId}` : null;
+}
+/**
+ * Runs the workflow on the calendar slots. With `dryRun` nothing is
+ * persisted or delivered: each run writes a preview bundle instead.
+ */
 export class AutomationScheduler {
-    constructor() {
-        this.db = new ContentDatabase();
+    constructor({ dryRun = false } = {}) {
+        this.dryRun = dryRun;
+        this.db = new ContentDatabase(new ContentStore({ dryRun }));
+        this.selector = new PerlaSelector(config.selection);
+        this.calendar = ContentCalendar.load();
+        this.history = new RunHistory(dryRun ? null : undefined);
         this.isRunning = false;
         // Initialize notifier if credentials available
         if (process.env.TELEGRAM_TOKEN && process.env.TELEGRAM_CHAT_ID) {
@@ -15,110 +42,396 @@ export class AutomationScheduler {
                 process.env.TELEGRAM_CHAT_ID
             );
         }
+        // Unknown publisher names fail on startup, not at publishing time
+        this.calendar.slots.forEach(slot => this.publishersFor(slot));
+    }
+    /**
+     * Pick the perla for a slot run: the pinned one if any, else the
+     * selection strategy over approved perle in the slot's categories
+     */
+    choosePerla(slot, pin) {
+        const approved = this.db.getApprovedPerle();
+        if (pin) {
+            const pinned = this.db.findPerla(pin.perlaId);
+            if (pinned && pinned.state === STATES.APPROVED) {
+                return { perla: pinned, reason: `pinned for ${pin.at || `${pin.date} (${pin.slot})`}` };
+            }
+            logger.warn(`Pinned perla ${pin.perlaId} is ${pinned ? `"${pinned.state}", not approved` : 'not in the database'}: falling back to selection`);
+        }
+        if (approved.length === 0) return null;
+        let candidates = this.calendar.filterForSlot(slot, approved);
+        if (candidates.length === 0) {
+            logger.warn(`No approved perle in ${slot.categories.join(', ')} for slot ${slot.id}: using any category`);
+            candidates = approved;
+        }
+        return this.selector.select(candidates, this.db.getRecentlyPublished());
     }
     /**
-     * Execute the full automation workflow
+     * Execute the full automation workflow for a calendar slot (or pinned perla),
+     * recording the run in the history
      */
-    async executeWorkflow() {
+    async executeWorkflow({ slot = null, pin = null, scheduledFor = null, trigger = 'manual' } = {}) {
+        const run = this.history.start({ slot: runSlotId(slot, pin), scheduledFor, trigger });
+        const finish = (result) => {
+            this.history.finish(run.id, result);
+            return result;
+        };
         if (this.isRunning) {
             logger.warn('Workflow already running, skipping this execution');
-            return;
+            return finish({ outcome: OUTCOMES.SKIPPED, reason: 'another run in progress' });
+        }
+        const blackout = this.calendar.getBlackout(scheduledFor || new Date());
+        if (blackout && !pin) {
+            logger.warn(`Blackout ${blackout.from}..${blackout.to}${blackout.reason ? ` (${blackout.reason})` : ''}: skipping slot ${slot?.id}`);
+            return finish({ outcome: OUTCOMES.SKIPPED, reason: `blackout ${blackout.from}..${blackout.to}` });
         }
         this.isRunning = true;
-        logger.step('=== STARTING AUTOMATION WORKFLOW ===');
-        const scraper = new ContentScraper();
-        const generator = new VideoGenerator();
+        logger.step(`=== STARTING AUTOMATION WORKFLOW${slot ? ` (slot ${slot.id})` : ''} ===`);
         try {
-            // Step 1: Fetch from Google Sheets
-            logger.step('Step 1/4: Fetching perle from Google Sheet');
-            await scraper.initialize();
-            const perle = await scraper.getPerle();
-            await scraper.close();
-            if (perle.length === 0) {
-                logger.warn('No perle found in Google Sheet');
-                return;
-            }
-            // Step 2: Add to database
-            logger.step('Step 2/4: Updating database');
-            const addedCount = this.db.addPerle(perle);
-            // Step 3: Get unpublished perla
-            const unpublished = this.db.getUnpublishedPerle();
-            if (unpublished.length === 0) {
-                logger.warn('No unpublished perle available');
-                return;
-            }
-            // Pick a perla (randomly from the last 5 added to keep it fresh but varied)
-            const subset = unpublished.slice(-5);
-            const perla = subset[Math.floor(Math.random() * subset.length)];
-            logger.success(`Selected perla: ${perla.id}`);
-            logger.step(`Text: ${perla.text.substring(0, 50)}...`);
-            // Step 4: Generate video
-            logger.step('Step 3/4: Generating Video (WhatsApp Style)');
-            const { videoPath } = await generator.createTikTokVideo(perla);
-            // Step 5: Send via Telegram
-            logger.step('Step 4/4: Delivering via Telegram');
-            if (this.notifier) {
-                const caption = `🎬 <b>Video Pronto per TikTok!</b>\n\n` +
-                    `📝 <i>Testo:</i> ${perla.text}\n\n` +
-                    `🏷️ <code>#gruppoclasse #mamme #scuola</code>\n\n` +
-                    `🚀 Scarica il video e caricalo ora!`;
-                const success = await this.notifier.sendVideo(videoPath, caption);
-                if (success) {
-                    // Mark as published
-                    this.db.markAsPublished(perla.id, 'delivered-to-telegram');
-                    logger.success('=== WORKFLOW COMPLETED: VIDEO SENT TO TELEGRAM ===');
-                } else {
-                    logger.error('Failed to deliver video to Telegram');
-                }
-            } else {
-                logger.error('Telegram Notifier not configured! Set TELEGRAM_TOKEN and TELEGRAM_CHAT_ID');
-            }
+            return finish(await this.runWorkflow(slot, pin));
         } catch (error) {
             logger.error(`Workflow failed: ${error.message}`);
             logger.error(error.stack);
-            // Cleanup
-            if (scraper.browser) await scraper.close();
+            return finish({ outcome: OUTCOMES.FAILED, error: error.message });
         } finally {
             this.isRunning = false;
         }
     }
     /**
-     * Start the scheduler
+     * A perla whose video was rendered by an earlier run but never delivered.
+     * Rendered perle whose video file is gone go back to the queue.
+     */
+    async findResumable() {
+        for (const perla of this.db.getPerle(STATES.RENDERED)) {
+            if (perla.videoPath && fs.existsSync(perla.videoPath)) return perla;
+            logger.warn(`Rendered video of ${perla.id} is missing: back to approved`);
+            await this.db.transition(perla.id, STATES.APPROVED, { actor: 'scheduler', note: 'rendered video missing' });
+        }
+        return null;
+    }
+    /**
+     * Workflow steps; resolves to { outcome, perlaId, reason, error }.
+     * A run that finds an undelivered rendered video resumes at delivery.
      */
-    start() {
-        logger.success('🚀 Automation scheduler started (Telegram Delivery Mode)!');
-        logger.step(`Schedule: ${config.schedule.time1} and ${config.schedule.time2}`);
-        // Schedule first job
-        cron.schedule(config.schedule.time1, () => {
-            logger.step('⏰ Scheduled job triggered (Time 1)');
-            this.executeWorkflow();
+    async runWorkflow(slot, pin) {
+        const pending = await this.findResumable();
+        if (pending) {
+            logger.step(`Resuming ${pending.id}: video already rendered, skipping to delivery`);
+            return { ...await this.deliver(pending, { slot, reason: 'resumed undelivered render' }), resumed: true };
+        }
+        const scraper = new ContentScraper();
+        const generator = new VideoGenerator();
+        // Step 1: Fetch from content sources
+        logger.step('Step 1/4: Fetching perle from content sources');
+        await scraper.initialize();
+        const perle = await scraper.getPerle();
+        await scraper.close();
+        if (perle.length === 0) {
+            logger.warn('No perle found in content sources');
+            return { outcome: OUTCOMES.SKIPPED, reason: 'no perle in content sources' };
+        }
+        // Step 2: Add to database
+        logger.step('Step 2/4: Updating database');
+        await this.db.addPerle(perle);
+        // Step 3: Get an approved perla
+        const choice = this.choosePerla(slot, pin);
+        if (!choice) {
+            logger.warn('No approved perle available (review queue: npm run review -- list)');
+            return { outcome: OUTCOMES.SKIPPED, reason: 'no approved perle' };
+        }
+        const { perla, reason } = choice;
+        logger.success(`Selected perla: ${perla.id} (${reason})`);
+        logger.step(`Text: ${perla.text.substring(0, 50)}...`);
+        // Step 4: Generate video
+        logger.step('Step 3/4: Generating Video (WhatsApp Style)');
+        const previewDir = this.dryRun ? this.createPreviewDir(perla) : null;
+        const { videoPath, duration, coverPath, coverAt, template, profile, music } = await generator.createTikTokVideo(perla, {
+            template: slot?.template || pin?.template,
+            profile: slot?.profile || pin?.profile,
+            outputPath: previewDir ? path.join(previewDir, 'video.mp4') : undefined,
         });
-        // Schedule second job
-        cron.schedule(config.schedule.time2, () => {
-            logger.step('⏰ Scheduled job triggered (Time 2)');
-            this.executeWorkflow();
+        const rendered = await this.db.transition(perla.id, STATES.RENDERED, {
+            actor: 'scheduler',
+            videoPath,
+            duration,
+            coverPath,
+            coverAt,
+            template,
+            profile,
+            music,
+            captionStyle: slot?.captionStyle || pin?.captionStyle || 'default',
+            deliveryRuns: 0,
         });
+        // Step 5: Publish (TikTok, Telegram, local folder)
+        return { ...await this.deliver(rendered, { slot, pin, reason, previewDir }), reason };
+    }
+
+    /**
+     * Preview folder for a dry run: <previews>/<timestamp>-<perla id>
+     */
+    createPreviewDir(perla) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const previewDir = path.join(config.paths.previews, `${stamp}-${perla.id}`);
+        fs.mkdirSync(previewDir, { recursive: true });
+        return previewDir;
+    }
+
+    /**
+     * Dry run delivery: video, a still frame, the caption and a JSON
+     * summary go to the preview folder
+     */
+    async writePreview(perla, { slot = null, pin = null, reason = null, previewDir = this.createPreviewDir(perla) } = {}) {
+        logger.step('Step 4/4: Writing preview (dry run, nothing is delivered)');
+        const files = {
+            video: path.join(previewDir, 'video.mp4'),
+            frame: path.join(previewDir, 'frame.png'),
+            cover: path.join(previewDir, 'video.jpg'),
+            caption: path.join(previewDir, 'caption.txt'),
+            summary: path.join(previewDir, 'summary.json'),
+        };
+        if (path.resolve(perla.videoPath) !== path.resolve(files.video)) {
+            fs.copyFileSync(perla.videoPath, files.video);
+            const sidecar = perla.videoPath.replace(/\.[^.]+$/, '.srt');
+            if (fs.existsSync(sidecar)) fs.copyFileSync(sidecar, path.join(previewDir, 'video.srt'));
+            if (perla.coverPath && fs.existsSync(perla.coverPath)) fs.copyFileSync(perla.coverPath, files.cover);
+        }
+        if (!fs.existsSync(files.cover)) delete files.cover;
+        if (fs.existsSync(path.join(previewDir, 'video.srt'))) {
+            files.subtitles = path.join(previewDir, 'video.srt');
+        }
+        await new VideoGenerator().extractFrame(files.video, files.frame);
+
+        const caption = buildCaption(perla, perla.captionStyle);
+        fs.writeFileSync(files.caption, caption);
+        fs.writeFileSync(files.summary, JSON.stringify({
+            dryRun: true,
+            createdAt: new Date().toISOString(),
+            slot: slot?.id || null,
+            template: perla.template || null,
+            profile: perla.profile || config.video.profile,
+            publishers: slot?.publishers || config.publish.chain,
+            post: resolvePostOptions({ slot, pin, timezone: this.calendar.timezone }),
+            captionStyle: perla.captionStyle || 'default',
+            reason,
+            perla: {
+                id: perla.id,
+                text: perla.text,
+                category: perla.category,
+                author: perla.author,
+                priority: perla.priority || 0,
+            },
+            music: perla.music || null,
+            caption,
+            files: Object.fromEntries(Object.entries(files).map(([key, file]) => [key, path.basename(file)])),
+        }, null, 2));
+
+        logger.success(`=== DRY RUN COMPLETED: PREVIEW IN ${previewDir} ===`);
+        return { outcome: OUTCOMES.SUCCESS, perlaId: perla.id, preview: previewDir };
+    }
+    /**
+     * True if any slot publishes through the TikTok browser session
+     */
+    publishesToTikTok() {
+        return [config.publish.chain, ...this.calendar.slots.map(slot => slot.publishers || [])]
+            .some(names => names.includes('tiktok'));
+    }
+    /**
+     * Publishers for a slot: its "publishers" list, else PUBLISHERS
+     */
+    publishersFor(slot) {
+        return createPublishers(slot?.publishers || config.publish.chain, { notifier: this.notifier });
+    }
+    /**
+     * Publish a rendered perla through the slot's publishers, falling back
+     * along the chain. When all fail the perla stays "rendered" so the
+     * next run resumes here, until maxDeliveryRuns runs have failed.
+     */
+    async deliver(perla, context = {}) {
+        if (this.dryRun) return this.writePreview(perla, context);
+
+        const publishers = this.publishersFor(context.slot);
+        logger.step(`Step 4/4: Publishing (${publishers.map(p => p.name).join(' → ')})`);
+        let result;
+        try {
+            result = await publishWithFallback(publishers, perla, {
+                slot: context.slot,
+                pin: context.pin,
+                timezone: this.calendar.timezone,
+            });
+        } catch (error) {
+            logger.error(error.message);
+            const deliveryRuns = (perla.deliveryRuns || 0) + 1;
+            if (deliveryRuns >= config.retry.maxDeliveryRuns) {
+                // Put it back in the queue: the next pick renders it again
+                await this.db.transition(perla.id, STATES.APPROVED, {
+                    actor: 'scheduler',
+                    note: `delivery failed in ${deliveryRuns} runs`,
+                    deliveryRuns: 0,
+                });
+            } else {
+                await this.db.update(perla.id, { deliveryRuns });
+                logger.step(`Video kept for the next run (delivery attempt ${deliveryRuns}/${config.retry.maxDeliveryRuns})`);
+            }
+            return { outcome: OUTCOMES.FAILED, perlaId: perla.id, error: error.message };
+        }
+        await this.db.markAsPublished(perla.id, result);
+        logger.success(`=== WORKFLOW COMPLETED: ${result.posted ? 'POSTED' : 'DELIVERED'} VIA ${result.publisher.toUpperCase()} ===`);
+        return {
+            outcome: OUTCOMES.SUCCESS,
+            perlaId: perla.id,
+            publisher: result.publisher,
+            url: result.url,
+            ...(result.scheduledFor && { scheduledFor: result.scheduledFor }),
+            ...(result.failures.length > 0 && { fallbackFrom: result.failures.map(f => f.publisher) }),
+        };
+    }
+    /**
+     * Slot occurrences in the catch-up window that have no recorded run
+     */
+    findMissedRuns(now = new Date()) {
+        const from = new Date(now.getTime() - config.schedule.catchUpWindowHours * 60 * 60 * 1000);
+        const startedAt = new Date(now.getTime() - 60 * 1000); // ignore the slot firing right now
+        const missed = [];
+        for (const slot of this.calendar.slots) {
+            for (const scheduledFor of occurrencesBetween(slot.parsedCron, this.calendar.timezone, from, startedAt)) {
+                if (!this.history.hasRun(slot.id, scheduledFor)) {
+                    missed.push({ slot, scheduledFor });
+                }
+            }
+        }
+        return missed.sort((a, b) => a.scheduledFor - b.scheduledFor);
+    }
+    /**
+     * Report slots missed while the process was down and, if enabled,
+     * run the most recent ones
+     */
+    async catchUpMissedRuns() {
+        this.history.markInterrupted();
+        const missed = this.findMissedRuns();
+        if (missed.length === 0) return;
+        for (const { slot, scheduledFor } of missed) {
+            logger.warn(`Missed slot ${slot.id} scheduled for ${scheduledFor.toISOString()}`);
+        }
+        if (!config.schedule.catchUp) {
+            logger.step('Catch-up disabled (SCHEDULE_CATCHUP=true to run missed slots)');
+            return;
+        }
+        const toRun = missed.slice(-config.schedule.catchUpMaxRuns);
+        for (const { slot, scheduledFor } of toRun) {
+            logger.step(`Catching up slot ${slot.id} (${scheduledFor.toISOString()})`);
+            await this.executeWorkflow({
+                slot,
+                pin: this.calendar.findPin(slot, scheduledFor),
+                scheduledFor,
+                trigger: 'catch-up',
+            });
+        }
+    }
+    /**
+     * Start the scheduler: one cron job per calendar slot and per pinned
+     * perla whose time no slot covers
+     */
+    async start() {
+        await this.db.open();
+        const cronOptions = { timezone: this.calendar.timezone };
+        logger.success(`🚀 Automation scheduler started (publishing via ${config.publish.chain.join(' → ')})!`);
+        for (const slot of this.calendar.slots) {
+            logger.step(`Slot ${slot.id}: ${slot.cron}${slot.categories.length ? ` [${slot.categories.join(', ')}]` : ''}`);
+            cron.schedule(slot.cron, () => {
+                logger.step(`⏰ Scheduled job triggered (slot ${slot.id})`);
+                const scheduledFor = floorToMinute(new Date());
+                this.executeWorkflow({ slot, pin: this.calendar.findPin(slot, scheduledFor), scheduledFor, trigger: 'cron' });
+            }, cronOptions);
+        }
+        for (const { pin, cron: expression, date } of this.calendar.getStandalonePins()) {
+            logger.step(`Pinned ${pin.perlaId} at ${pin.at}`);
+            cron.schedule(expression, () => {
+                // Day/month crons repeat every year
+                if (zonedParts(new Date(), this.calendar.timezone).date !== date) return;
+                logger.step(`⏰ Pinned perla job triggered (${pin.perlaId})`);
+                this.executeWorkflow({ pin, scheduledFor: floorToMinute(new Date()), trigger: 'cron' });
+            }, cronOptions);
+        }
+        if (this.publishesToTikTok()) {
+            // Session expiry alerts also on days without a TikTok slot
+            const session = new SessionManager({ notifier: this.notifier });
+            const checkSession = () => session.checkExpiry().catch(error => {
+                logger.error(`TikTok session check failed: ${error.message}`);
+            });
+            checkSession();
+            cron.schedule('0 9 * * *', checkSession, cronOptions);
+        }
+        logger.step(`Timezone: ${this.calendar.timezone}`);
         logger.success('Scheduler is now running. Press Ctrl+C to stop.');
+        this.catchUpMissedRuns().catch(error => {
+            logger.error(`Catch-up failed: ${error.message}`);
+        });
     }
     /**
-     * Run workflow once (for testing)
+     * Print the last runs and the next scheduled slots
      */
-    async runOnce() {
-        logger.step('Running workflow once...');
-        await this.executeWorkflow();
+    printStatus(limit = 10) {
+        const runs = this.history.recent(limit);
+        console.log(`Last ${runs.length} runs:`);
+        for (const run of runs) {
+            const duration = run.endedAt ? `${Math.round((new Date(run.endedAt) - new Date(run.startedAt)) / 1000)}s` : '-';
+            const detail = run.error || run.reason || '';
+            console.log(`  ${run.startedAt}  ${(run.slot || 'manual').padEnd(16)} ${run.outcome.padEnd(8)} ${duration.padStart(6)}  ${run.perlaId || '-'}  ${detail}`);
+        }
+        const upcoming = this.calendar.slots
+            .flatMap(slot => nextOccurrences(slot.parsedCron, this.calendar.timezone, new Date(), limit)
+                .map(at => ({ slot, at })))
+            .sort((a, b) => a.at - b.at)
+            .slice(0, limit);
+        console.log(`\nNext ${upcoming.length} scheduled (${this.calendar.timezone}):`);
+        for (const { slot, at } of upcoming) {
+            const parts = zonedParts(at, this.calendar.timezone);
+            const blackout = this.calendar.getBlackout(at);
+            console.log(`  ${parts.date} ${parts.time}  ${slot.id}${blackout ? '  (blackout)' : ''}`);
+        }
+    }
+    /**
+     * Run workflow once (for testing), optionally as a given calendar slot
+     * or as the slot/pin scheduled at a given time
+     */
+    async runOnce(slotId = null, at = null) {
+        const slot = slotId ? this.calendar.getSlot(slotId) : (at && this.calendar.slotAt(at));
+        if (slotId && !slot) {
+            throw new Error(`Unknown calendar slot: ${slotId}`);
+        }
+        await this.db.open();
+        logger.step(`Running workflow once${slot ? ` as slot ${slot.id}` : ''}${at ? ` for ${at.toISOString()}` : ''}${this.dryRun ? ' (dry run)' : ''}...`);
+        await this.executeWorkflow({ slot: slot || null, pin: this.calendar.findPin(slot, at || new Date()), scheduledFor: at });
         logger.success('Workflow completed. Exiting...');
         process.exit(0);
     }
 }
+/**
+ * Value of --at <ISO date>, or null
+ */
+export function parseAtArg(args) {
+    const index = args.indexOf('--at');
+    if (index === -1) return null;
+    const at = new Date(args[index + 1]);
+    if (Number.isNaN(at.getTime())) {
+        throw new Error(`Invalid --at date: ${args[index + 1]} (expected e.g. 2024-05-20T18:00)`);
+    }
+    return at;
+}
+
 // Main execution function
 async function main() {
-    const scheduler = new AutomationScheduler();
-    // Check for --once flag
     const args = process.argv.slice(2);
-    if (args.includes('--once')) {
-        await scheduler.runOnce();
+    const dryRun = args.includes('--dry-run');
+    const scheduler = new AutomationScheduler({ dryRun });
+    // Check for --once flag (--dry-run implies it)
+    if (args.includes('--status')) {
+        scheduler.printStatus();
+    } else if (args.includes('--once') || dryRun) {
+        const slotIndex = args.indexOf('--slot');
+        await scheduler.runOnce(slotIndex !== -1 ? args[slotIndex + 1] : null, parseAtArg(args));
     } else {
-        scheduler.start();
+        await scheduler.start();
     }
 }
 // Run if called directly
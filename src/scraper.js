@@ -1,78 +1,83 @@
 import { logger } from './logger.js';
 import config from './config.js';
-import fs from 'fs';
-import path from 'path';
+import { createSource, loadSourceDefinitions } from './content-sources.js';
+import { createPerlaId, DuplicateIndex } from './perla-id.js';
+import { extractMetadata } from './perla-metadata.js';
+import { ContentStore } from './content-store.js';
+import { withRetry, isTransientError } from './retry.js';
+import { STATES, PUBLISHED_STATES, applyTransition, enteredAt } from './lifecycle.js';
 export class ContentScraper {
-    constructor() {
+    constructor(sourceDefinitions = loadSourceDefinitions()) {
         this.browser = null;
         this.page = null;
+        this.sources = sourceDefinitions.map(createSource);
+        // Rows whose trailing metadata could not be parsed, from the last getPerle()
+        this.unparsed = [];
     }
     async initialize() {
-        // No browser needed for Google Sheets CSV, but keeping method for compatibility
+        // No browser needed for the configured sources, but keeping method for compatibility
         logger.step('Initializing content fetcher...');
     }
     async close() {
         // Nothing to close
     }
+    /**
+     * Move the metadata appended to the text ("COMPITI📅 02/01/2026 · 👤 Mamma Ansia")
+     * into the category, date and author fields; it wins over the source columns.
+     * Rows that look like they carry metadata but do not parse are reported.
+     */
+    normalize(candidate, sourceName, row) {
+        const { text, metadata, issue } = extractMetadata(candidate.text);
+        if (issue) {
+            this.unparsed.push({ source: sourceName, row, reason: issue, text: candidate.text });
+        }
+        if (!metadata) return candidate;
+        return {
+            ...candidate,
+            text,
+            category: metadata.category || candidate.category,
+            author: metadata.author || candidate.author,
+            date: metadata.date,
+        };
+    }
     async getPerle() {
-        return new Promise(async (resolve, reject) => {
+        logger.step(`Fetching perle from ${this.sources.length} source(s)...`);
+        this.unparsed = [];
+        const perle = [];
+        const seenIds = new Set();
+        let failed = 0;
+        for (const source of this.sources) {
             try {
-                logger.step('Fetching perle from Google Sheet...');
-                // Public Google Sheet CSV URL
-                const sheetId = '1RDwxQMQCIBVigJijppbNgAtNPQZ7MNf9z7zYJn_PZm8';
-                const gid = '1971420613'; // GID for "Perle" tab
-                const url = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv&gid=${gid}`;
-                // Fetch CSV
-                const response = await fetch(url);
-                if (!response.ok) throw new Error(`Sheet fetch failed: ${response.statusText}`);
-                const csvText = await response.text();
-                // Parse CSV (robust state-machine parser to avoid infinite loops)
-                const rows = csvText.split('\n').map(line => {
-                    const result = [];
-                    let cur = '';
-                    let inQuote = false;
-                    for (let i = 0; i < line.length; i++) {
-                        const char = line[i];
-                        if (char === '"') {
-                            inQuote = !inQuote;
-                        } else if (char === ',' && !inQuote) {
-                            result.push(cur.trim());
-                            cur = '';
-                        } else {
-                            cur += char;
-                        }
-                    }
-                    result.push(cur.trim());
-                    return result;
+                const candidates = await withRetry(() => source.fetch(), {
+                    label: `Source ${source.name}`,
+                    shouldRetry: isTransientError,
                 });
-                // Skip header row
-                const dataRows = rows.slice(1);
-                const perle = [];
                 let count = 0;
-                for (const row of dataRows) {
-                    // Column A is "testo" (index 0)
-                    const text = row[0] ? row[0].trim() : '';
-                    if (text && text.length > 10) {
-                        // Generate a consistent ID based on text hash or content
-                        // Using a simple hash to keep ID stable
-                        const safeText = text.substring(0, 20).replace(/[^a-z0-9]/gi, '');
-                        const id = `perla-${safeText}-${text.length}`;
-                        perle.push({
-                            id: id,
-                            text: text,
-                            author: row[2] || 'Anonimo', // Column C is autore
-                            category: row[1] || 'Generale' // Column B is categoria
-                        });
-                        count++;
-                    }
+                for (const [index, raw] of candidates.entries()) {
+                    if (!raw.text) continue;
+                    const candidate = this.normalize(raw, source.name, index + 1);
+                    const text = candidate.text;
+                    if (text.length <= config.scraping.minLength) continue;
+                    const id = createPerlaId(text);
+                    if (seenIds.has(id)) continue;
+                    seenIds.add(id);
+                    perle.push({ id, ...candidate });
+                    count++;
                 }
-                logger.success(`Fetched ${count} perle from Google Sheet`);
-                resolve(perle);
+                logger.success(`Fetched ${count} perle from ${source.name}`);
             } catch (error) {
-                logger.error('Error fetching from Google Sheet:', error);
-                reject(error);
+                failed++;
+                logger.error(`Error fetching from ${source.name}: ${error.message}`);
             }
-        });
+        }
+        if (failed > 0 && failed === this.sources.length) {
+            throw new Error('All content sources failed');
+        }
+        logger.success(`Fetched ${perle.length} perle in total`);
+        if (this.unparsed.length > 0) {
+            logger.warn(`${this.unparsed.length} row(s) with unparsed metadata (npm run test:scraper for the list)`);
+        }
+        return perle;
     }
     // Alias for backward compatibility if main.js calls scrapePerle
     async scrapePerle() {
@@ -81,59 +86,145 @@ export class ContentScraper {
 }
 // Database helper functions
 export class ContentDatabase {
-    constructor() {
-        this.dbPath = config.db.contentFile;
-        this.ensureDatabase();
-    }
-    ensureDatabase() {
-        // Ensure data directory exists
-        const dir = path.dirname(this.dbPath);
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-        }
-        if (!fs.existsSync(this.dbPath)) {
-            logger.step('Creating content database...');
-            fs.writeFileSync(this.dbPath, JSON.stringify({ perle: [] }, null, 2));
-            logger.success('Database created');
-        }
+    constructor(store = new ContentStore()) {
+        this.store = store;
     }
-    read() {
-        try {
-            const data = fs.readFileSync(this.dbPath, 'utf-8');
-            return JSON.parse(data);
-        } catch (e) {
-            return { perle: [] };
-        }
+    /**
+     * Open the content store; resolves to the database
+     */
+    async open() {
+        await this.store.open();
+        return this;
+    }
+    getPerle(state) {
+        const perle = this.store.all();
+        return state ? perle.filter(p => p.state === state) : perle;
     }
-    write(data) {
-        fs.writeFileSync(this.dbPath, JSON.stringify(data, null, 2));
-    }
-    getUnpublishedPerle() {
-        const db = this.read();
-        return db.perle.filter(p => !p.published);
-    }
-    markAsPublished(perlaId, tiktokUrl) {
-        const db = this.read();
-        const perla = db.perle.find(p => p.id === perlaId);
-        if (perla) {
-            perla.published = true;
-            perla.publishedAt = new Date().toISOString();
-            perla.tiktokUrl = tiktokUrl;
-            this.write(db);
-            logger.success(`Marked perla ${perlaId} as published`);
+    getApprovedPerle() {
+        return this.getPerle(STATES.APPROVED);
+    }
+    /**
+     * Delivered/posted perle, most recent first
+     */
+    getRecentlyPublished(limit = 20) {
+        const publishedAt = p => PUBLISHED_STATES.map(state => enteredAt(p, state) || '').sort().pop();
+        return this.store.all()
+            .filter(p => PUBLISHED_STATES.includes(p.state))
+            .sort((a, b) => publishedAt(b).localeCompare(publishedAt(a)))
+            .slice(0, limit);
+    }
+    /**
+     * Find a perla by ID, alias or unique ID prefix
+     */
+    findPerla(idOrPrefix) {
+        const perle = this.store.all();
+        const exact = perle.find(p => p.id === idOrPrefix || p.aliases?.includes(idOrPrefix));
+        if (exact) return exact;
+        const matches = perle.filter(p => p.id.startsWith(idOrPrefix));
+        if (matches.length > 1) {
+            throw new Error(`Ambiguous perla ID "${idOrPrefix}" (${matches.length} matches)`);
         }
+        return matches[0] || null;
     }
-    addPerle(newPerle) {
-        const db = this.read();
-        const existingIds = new Set(db.perle.map(p => p.id));
-        const toAdd = newPerle.filter(p => !existingIds.has(p.id));
-        if (toAdd.length > 0) {
-            db.perle.push(...toAdd.map(p => ({ ...p, published: false })));
-            this.write(db);
-            logger.success(`Added ${toAdd.length} new perle to database`);
+    /**
+     * Move a perla to a new lifecycle state; `fields` are stored on the perla
+     */
+    async transition(perlaId, to, { actor, note, ...fields } = {}) {
+        const perla = await this.store.transaction(perle => {
+            const perla = perle.get(perlaId);
+            if (!perla) throw new Error(`Perla ${perlaId} not found`);
+            applyTransition(perla, to, { actor, note });
+            Object.assign(perla, fields);
+            return perla;
+        });
+        logger.success(`Perla ${perlaId}: ${perla.history.at(-1).from} → ${to} (${perla.history.at(-1).actor})`);
+        return perla;
+    }
+    /**
+     * Store fields on a perla without changing its state
+     */
+    async update(perlaId, fields) {
+        return this.store.transaction(perle => {
+            const perla = perle.get(perlaId);
+            if (!perla) throw new Error(`Perla ${perlaId} not found`);
+            return Object.assign(perla, fields);
+        });
+    }
+    /**
+     * Record where a perla went out: "posted" when it is live on TikTok,
+     * else "delivered" for a manual upload
+     */
+    async markAsPublished(perlaId, { publisher, url, posted = false, scheduledFor = null }, actor = 'scheduler') {
+        return this.transition(perlaId, posted ? STATES.POSTED : STATES.DELIVERED, {
+            actor,
+            note: scheduledFor ? `${publisher}, scheduled for ${scheduledFor}` : publisher,
+            publisher,
+            postUrl: url,
+            ...(posted && publisher === 'tiktok' && { tiktokUrl: url }),
+            ...(scheduledFor && { scheduledFor }),
+        });
+    }
+    async addPerle(newPerle) {
+        const added = await this.store.transaction(perle => {
+            const knownIds = new Set([...perle.values()].flatMap(p => [p.id, ...(p.aliases || [])]));
+            const duplicates = new DuplicateIndex(config.dedup.threshold);
+            perle.forEach(p => duplicates.add(p));
+            let count = 0;
+            for (const perla of newPerle) {
+                if (knownIds.has(perla.id)) {
+                    // Keep priority flags in sync with the source
+                    const existing = perle.get(perla.id);
+                    if (existing && perla.priority !== undefined && existing.priority !== perla.priority) {
+                        existing.priority = perla.priority;
+                    }
+                    continue;
+                }
+                // A near-duplicate (typo fix, extra emoji...) is recorded as an alias of the
+                // existing perla, so it can never be published a second time
+                const match = duplicates.findNearDuplicate(perla.text);
+                if (match) {
+                    logger.warn(`Near-duplicate of ${match.perla.id} (${(match.score * 100).toFixed(0)}%): ${perla.text.substring(0, 50)}...`);
+                    match.perla.aliases = [...(match.perla.aliases || []), perla.id];
+                    knownIds.add(perla.id);
+                    continue;
+                }
+                const actor = `source:${perla.source || 'unknown'}`;
+                const entry = {
+                    ...perla,
+                    state: STATES.INGESTED,
+                    history: [{ from: null, to: STATES.INGESTED, at: new Date().toISOString(), actor }],
+                };
+                if (config.review.autoApprove) {
+                    applyTransition(entry, STATES.APPROVED, { actor, note: 'auto-approved' });
+                }
+                perle.set(entry.id, entry);
+                knownIds.add(entry.id);
+                duplicates.add(entry);
+                count++;
+            }
+            return count;
+        });
+        if (added > 0) {
+            logger.success(`Added ${added} new perle to database${config.review.autoApprove ? '' : ' (awaiting review)'}`);
         } else {
             logger.step('No new perle to add');
         }
-        return toAdd.length;
+        return added;
     }
 }
+// Fetch all sources and report the rows whose metadata could not be parsed
+async function main() {
+    const scraper = new ContentScraper();
+    const perle = await scraper.getPerle();
+    const withDate = perle.filter(p => p.date).length;
+    logger.step(`${withDate}/${perle.length} perle with metadata (category, date, author)`);
+    for (const { source, row, reason, text } of scraper.unparsed) {
+        logger.warn(`${source} row ${row}: ${reason}: ${text.replace(/\s+/g, ' ').substring(0, 100)}`);
+    }
+}
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        logger.error(error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+
+/**
+ * Seeded PRNG (mulberry32). Without a seed it falls back to Math.random.
+ */
+export function createRandom(seed) {
+    if (seed === undefined || seed === null || seed === '') return Math.random;
+
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function ingestedAt(perla) {
+    return perla.history?.[0]?.at || perla.scrapedAt || '';
+}
+
+function pickWeighted(items, weights, random) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let r = random() * total;
+    for (let i = 0; i < items.length; i++) {
+        r -= weights[i];
+        if (r < 0) return items[i];
+    }
+    return items[items.length - 1];
+}
+
+/**
+ * Selection strategies: (candidates, recent, random) => { perla, reason }.
+ * `recent` is the list of published perle, most recent first.
+ */
+export const STRATEGIES = {
+    // Oldest ingested first
+    fifo(candidates) {
+        const perla = [...candidates].sort((a, b) => ingestedAt(a).localeCompare(ingestedAt(b)))[0];
+        return { perla, reason: `oldest approved (ingested ${ingestedAt(perla) || 'unknown'})` };
+    },
+
+    // Uniform random pick
+    random(candidates, recent, random) {
+        const perla = candidates[Math.floor(random() * candidates.length)];
+        return { perla, reason: `random pick among ${candidates.length}` };
+    },
+
+    // Categories that have not been used for longer weigh more;
+    // each category gets the same chance regardless of its size
+    'category-rotation'(candidates, recent, random) {
+        const byCategory = new Map();
+        for (const perla of candidates) {
+            const key = perla.category || '';
+            byCategory.set(key, [...(byCategory.get(key) || []), perla]);
+        }
+
+        const categories = [...byCategory.keys()];
+        const weights = categories.map(category => {
+            const lastUsed = recent.findIndex(p => (p.category || '') === category);
+            return lastUsed === -1 ? recent.length + 1 : lastUsed + 1;
+        });
+        const category = pickWeighted(categories, weights, random);
+        const pool = byCategory.get(category);
+        const perla = pool[Math.floor(random() * pool.length)];
+        const lastUsed = recent.findIndex(p => (p.category || '') === category);
+
+        return {
+            perla,
+            reason: `category "${category || 'none'}" ${lastUsed === -1 ? 'not used recently' : `last used ${lastUsed + 1} posts ago`}` +
+                ` (weight ${weights[categories.indexOf(category)]}/${weights.reduce((a, b) => a + b, 0)})`,
+        };
+    },
+};
+
+/**
+ * Picks the next perla to publish: priority flags first, then avoids the
+ * authors/categories of the last `avoidWindow` posts (then only the
+ * authors, then only the categories, when nothing else is left), then
+ * applies the configured strategy.
+ */
+export class PerlaSelector {
+    constructor({ strategy = 'category-rotation', avoidWindow = 0, seed } = {}) {
+        if (!STRATEGIES[strategy]) {
+            throw new Error(`Unknown selection strategy: ${strategy} (available: ${Object.keys(STRATEGIES).join(', ')})`);
+        }
+        this.strategy = strategy;
+        this.avoidWindow = avoidWindow;
+        this.random = createRandom(seed);
+    }
+
+    select(candidates, recent = []) {
+        if (candidates.length === 0) return null;
+        const notes = [];
+
+        let pool = candidates;
+        const topPriority = Math.max(...pool.map(p => p.priority || 0));
+        if (topPriority > 0) {
+            pool = pool.filter(p => (p.priority || 0) === topPriority);
+            notes.push(`priority ${topPriority}`);
+        }
+
+        const window = recent.slice(0, this.avoidWindow);
+        if (window.length > 0) {
+            const authors = new Set(window.map(p => p.author).filter(Boolean));
+            const categories = new Set(window.map(p => p.category).filter(Boolean));
+            const fresh = pool.filter(p => !authors.has(p.author) && !categories.has(p.category));
+            const freshAuthor = pool.filter(p => !authors.has(p.author));
+            const freshCategory = pool.filter(p => !categories.has(p.category));
+
+            if (fresh.length > 0) {
+                pool = fresh;
+                notes.push(`avoiding author/category of last ${window.length}`);
+            } else if (freshAuthor.length > 0) {
+                pool = freshAuthor;
+                notes.push(`avoiding author of last ${window.length} (no fresh category left)`);
+            } else if (freshCategory.length > 0) {
+                // Many perle share the source's default author
+                pool = freshCategory;
+                notes.push(`avoiding category of last ${window.length} (no fresh author left)`);
+            } else {
+                notes.push('avoid window relaxed (no fresh author/category left)');
+            }
+        }
+
+        const { perla, reason } = STRATEGIES[this.strategy](pool, recent, this.random);
+        return {
+            perla,
+            reason: [`${this.strategy}: ${reason}`, ...notes].join('; '),
+        };
+    }
+}
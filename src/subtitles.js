@@ -0,0 +1,147 @@
+import config from './config.js';
+
+/**
+ * Timed captions from narration segments ({ text, start, end } in seconds).
+ * Without forced alignment, each word gets a share of its segment
+ * proportional to its length, plus a pause after punctuation.
+ */
+
+function wordWeight(word) {
+    let weight = word.length + 3;
+    if (/[,;:]$/.test(word)) weight += 4;
+    if (/[.!?…]$/.test(word)) weight += 8;
+    return weight;
+}
+
+/**
+ * Start and end time of every word: [{ word, start, end, segment }]
+ */
+export function timeWords(segments) {
+    const words = [];
+    segments.forEach((segment, index) => {
+        const segmentWords = segment.text.split(/\s+/).filter(Boolean);
+        const total = segmentWords.reduce((sum, word) => sum + wordWeight(word), 0);
+        let time = segment.start;
+        for (const word of segmentWords) {
+            const duration = (segment.end - segment.start) * wordWeight(word) / total;
+            words.push({ word, start: time, end: time + duration, segment: index });
+            time += duration;
+        }
+    });
+    return words;
+}
+
+/**
+ * Group words into caption lines of at most maxWords words / maxChars
+ * characters, never across segments and ending at punctuation when possible
+ */
+export function groupPhrases(words, { maxWords = config.subtitles.maxWords, maxChars = config.subtitles.maxChars } = {}) {
+    const phrases = [];
+    let current = [];
+    const flush = () => {
+        if (current.length === 0) return;
+        phrases.push({
+            words: current,
+            text: current.map(w => w.word).join(' '),
+            start: current[0].start,
+            end: current[current.length - 1].end,
+        });
+        current = [];
+    };
+
+    for (const word of words) {
+        const length = current.map(w => w.word).join(' ').length + word.word.length + 1;
+        if (current.length > 0 && (word.segment !== current[0].segment || current.length >= maxWords || length > maxChars)) {
+            flush();
+        }
+        current.push(word);
+        if (/[.!?…,;:]$/.test(word.word)) flush();
+    }
+    flush();
+    return phrases;
+}
+
+function pad(number, length = 2) {
+    return String(number).padStart(length, '0');
+}
+
+function srtTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+}
+
+function assTime(seconds) {
+    const cs = Math.round(seconds * 100);
+    return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+}
+
+/**
+ * "#RRGGBB" to ASS "&H00BBGGRR"
+ */
+function assColor(hex) {
+    const [, r, g, b] = /^#?(..)(..)(..)$/.exec(hex);
+    return `&H00${b}${g}${r}`.toUpperCase();
+}
+
+function escapeAss(text) {
+    return text.replace(/\\/g, '/').replace(/\{/g, '(').replace(/\}/g, ')');
+}
+
+/**
+ * SubRip file: one cue per phrase
+ */
+export function toSrt(phrases) {
+    return phrases
+        .map((phrase, index) => `${index + 1}\n${srtTime(phrase.start)} --> ${srtTime(phrase.end)}\n${phrase.text}\n`)
+        .join('\n');
+}
+
+/**
+ * Advanced SubStation file: one event per word, showing its phrase with
+ * the word being narrated highlighted
+ */
+export function toAss(phrases, options = {}) {
+    const {
+        width = config.video.width,
+        height = config.video.height,
+        font = 'Arial',
+        fontSize = config.subtitles.fontSize,
+        color = '#FFFFFF',
+        highlightColor = '#FFD400',
+        marginBottom = config.subtitles.marginBottom,
+    } = options;
+
+    const header = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${width}`,
+        `PlayResY: ${height}`,
+        'WrapStyle: 0',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        `Style: Default,${font},${fontSize},${assColor(color)},${assColor(color)},&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,5,0,2,80,80,${marginBottom},1`,
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ];
+
+    const highlight = `{\\c${assColor(highlightColor)}&}`;
+    const events = phrases.flatMap(phrase => phrase.words.map((current, index) => {
+        // Hold the phrase until the next word starts, so it never flickers
+        const end = index < phrase.words.length - 1 ? phrase.words[index + 1].start : phrase.end;
+        const text = phrase.words
+            .map(w => w === current ? `${highlight}${escapeAss(w.word)}{\\r}` : escapeAss(w.word))
+            .join(' ');
+        return `Dialogue: 0,${assTime(current.start)},${assTime(end)},Default,,0,0,0,,${text}`;
+    }));
+
+    return [...header, ...events, ''].join('\n');
+}
+
+/**
+ * Escape a path for use inside an FFmpeg filter argument
+ */
+export function filterPath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
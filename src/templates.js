@@ -0,0 +1,165 @@
+import { registerFont, loadImage } from 'canvas';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+
+/**
+ * Video templates: JSON files in templates/ describing the background,
+ * header, logo, bubbles, fonts and caption colors of the rendered chat.
+ *
+ * A template can start from another one with "extends": "<name>" and
+ * override only what differs. Paths (font files, logo image) are relative
+ * to the templates folder. Logo: { image, x, y, width, height }.
+ *
+ * Text sizes are ranges: bubble text shrinks from fontSize down to
+ * minFontSize, slide text from maxFontSize to minFontSize, before being
+ * split into pages. lineHeight is a ratio of the font size.
+ */
+
+const cache = new Map();
+const registeredFonts = new Set();
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        result[key] = isObject(value) && isObject(base[key]) ? deepMerge(base[key], value) : value;
+    }
+    return result;
+}
+
+/**
+ * Names of the templates available in the templates folder
+ */
+export function listTemplates(dir = config.paths.templates) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+/**
+ * Read a template and the ones it extends, merged
+ */
+export function readTemplate(name, dir = config.paths.templates, seen = []) {
+    if (seen.includes(name)) {
+        throw new Error(`Template "${name}": circular "extends" (${[...seen, name].join(' → ')})`);
+    }
+    const file = path.join(dir, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Template "${name}" not found in ${dir} (available: ${listTemplates(dir).join(', ')})`);
+    }
+    const { extends: parent, ...template } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const merged = parent ? deepMerge(readTemplate(parent, dir, [...seen, name]), template) : template;
+    return { ...merged, id: name };
+}
+
+/**
+ * Load a template ready for drawing: fonts registered, logo image loaded
+ */
+export async function loadTemplate(name, dir = config.paths.templates) {
+    const key = `${dir}:${name}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const template = readTemplate(name, dir);
+    for (const font of template.fonts?.files || []) {
+        const fontPath = path.resolve(dir, font.path);
+        if (registeredFonts.has(fontPath)) continue;
+        registerFont(fontPath, { family: font.family || template.fonts.family, weight: font.weight, style: font.style });
+        registeredFonts.add(fontPath);
+    }
+    if (template.logo?.image) {
+        template.logo = { ...template.logo, loaded: await loadImage(path.resolve(dir, template.logo.image)) };
+    }
+
+    cache.set(key, template);
+    return template;
+}
+
+/**
+ * Template name for a perla: the slot's template, then the one mapped to
+ * the perla's category, then the default
+ */
+export function resolveTemplateName(perla, slotTemplate = null) {
+    if (slotTemplate) return slotTemplate;
+    const category = (perla.category || '').toLowerCase();
+    const match = Object.entries(config.video.templatesByCategory)
+        .find(([name]) => name.toLowerCase() === category);
+    return match ? match[1] : config.video.template;
+}
+
+/**
+ * Load the template for a perla, falling back to the default one when the
+ * requested template cannot be loaded
+ */
+export async function templateFor(perla, slotTemplate = null) {
+    const name = resolveTemplateName(perla, slotTemplate);
+    try {
+        return await loadTemplate(name);
+    } catch (error) {
+        if (name === config.video.template) throw error;
+        logger.warn(`${error.message}: using ${config.video.template}`);
+        return loadTemplate(config.video.template);
+    }
+}
+
+/**
+ * Fill a rounded rectangle
+ */
+export function roundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    ctx.closePath();
+    ctx.fill();
+}
+
+/**
+ * Background color and optional stripe pattern
+ */
+export function drawBackground(ctx, template, width, height) {
+    const { color, pattern } = template.background;
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, width, height);
+    if (pattern) {
+        ctx.fillStyle = pattern.color;
+        for (let i = 0; i < height; i += pattern.spacing) {
+            ctx.fillRect(0, i, width, pattern.size);
+        }
+    }
+}
+
+/**
+ * Header bar with title, subtitle (or a custom one) and logo
+ */
+export function drawHeader(ctx, template, width, subtitle = template.header.subtitle) {
+    const { header, logo, fonts } = template;
+    ctx.fillStyle = header.color;
+    ctx.fillRect(0, 0, width, header.height);
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = header.titleColor;
+    ctx.font = `bold ${header.titleSize}px ${fonts.family}`;
+    ctx.fillText(header.title, width / 2, header.titleY);
+    if (subtitle) {
+        ctx.fillStyle = header.subtitleColor;
+        ctx.font = `${header.subtitleSize}px ${fonts.family}`;
+        ctx.fillText(subtitle, width / 2, header.subtitleY);
+    }
+    if (logo?.loaded) {
+        ctx.drawImage(logo.loaded, logo.x, logo.y, logo.width || logo.loaded.width, logo.height || logo.loaded.height);
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Text layout for canvas: Unicode-aware wrapping (Intl.Segmenter),
+ * Italian hyphenation, long-word breaking, font sizing by binary search
+ * and pagination when text does not fit at the minimum size. Emojis are
+ * measured as the inline images drawn by emoji.js.
+ */
+
+import { measureText } from './emoji.js';
+
+const LOCALE = 'it';
+const wordSegmenter = new Intl.Segmenter(LOCALE, { granularity: 'word' });
+const graphemeSegmenter = new Intl.Segmenter(LOCALE, { granularity: 'grapheme' });
+const sentenceSegmenter = new Intl.Segmenter(LOCALE, { granularity: 'sentence' });
+
+const VOWELS = 'aeiouàèéìíòóùú';
+const isVowel = (char) => VOWELS.includes(char.toLowerCase());
+const isLetter = (char) => /\p{L}/u.test(char);
+
+function graphemes(text) {
+    return [...graphemeSegmenter.segment(text)].map(s => s.segment);
+}
+
+/**
+ * Split text into sentences
+ */
+export function splitSentences(text) {
+    return [...sentenceSegmenter.segment(text)].map(s => s.segment.trim()).filter(Boolean);
+}
+
+/**
+ * Break opportunities in a paragraph: each token is a word with its
+ * trailing punctuation; `space` tells if a space preceded it
+ */
+function tokenize(paragraph) {
+    const tokens = [];
+    let pendingSpace = false;
+    for (const { segment } of wordSegmenter.segment(paragraph)) {
+        if (/^\s+$/u.test(segment)) {
+            pendingSpace = tokens.length > 0;
+            continue;
+        }
+        const last = tokens[tokens.length - 1];
+        if (last && !pendingSpace) {
+            last.text += segment; // punctuation, apostrophes, emoji glued to the word
+        } else {
+            tokens.push({ text: segment, space: pendingSpace });
+        }
+        pendingSpace = false;
+    }
+    return tokens;
+}
+
+/**
+ * Consonant pairs that start a syllable together (ma-dre, pa-sta, ba-gno)
+ */
+function inseparable(first, second) {
+    const pair = (first + second).toLowerCase();
+    return first.toLowerCase() === 's'
+        || ['ch', 'gh', 'gn', 'gl', 'sc'].includes(pair)
+        || ('lr'.includes(pair[1]) && !'lmnr'.includes(pair[0]));
+}
+
+/**
+ * Italian syllable boundaries usable as hyphenation points (indices into
+ * the word), keeping at least 2 letters on each side
+ */
+export function hyphenationPoints(word) {
+    const points = [];
+    const chars = [...word];
+    if (chars.length < 5 || !chars.every(isLetter)) return points;
+
+    for (let i = 2; i < chars.length - 1; i++) {
+        const [prev, current, next] = [chars[i - 1], chars[i], chars[i + 1]];
+        if (isVowel(current)) continue;
+        if (isVowel(prev)) {
+            // ca-sa, ma-dre: before a consonant followed by a vowel or an inseparable pair
+            if (isVowel(next) || inseparable(current, next)) points.push(i);
+        } else if (isVowel(chars[i - 2]) && !inseparable(prev, current)) {
+            // bel-lo, an-che, ot-to: between separable consonants
+            points.push(i);
+        }
+    }
+    return points.filter(p => p <= chars.length - 2);
+}
+
+/**
+ * Longest prefix of a word (with a hyphen) that fits in `width`, or null
+ */
+function hyphenate(ctx, word, width) {
+    const chars = [...word];
+    // Split off leading/trailing punctuation, hyphenate only the letters
+    const start = chars.findIndex(isLetter);
+    let end = chars.length;
+    while (end > 0 && !isLetter(chars[end - 1])) end--;
+    if (start === -1) return null;
+
+    const points = hyphenationPoints(chars.slice(start, end).join(''));
+    for (let i = points.length - 1; i >= 0; i--) {
+        const head = `${chars.slice(0, start + points[i]).join('')}-`;
+        if (measureText(ctx, head) <= width) {
+            return { head, tail: chars.slice(start + points[i]).join('') };
+        }
+    }
+    return null;
+}
+
+/**
+ * Longest run of graphemes that fits in `width` (at least one)
+ */
+function breakByGraphemes(ctx, word, width) {
+    const parts = graphemes(word);
+    let count = 1;
+    while (count < parts.length && measureText(ctx, parts.slice(0, count + 1).join('')) <= width) count++;
+    return { head: parts.slice(0, count).join(''), tail: parts.slice(count).join('') };
+}
+
+/**
+ * Wrap text into lines no wider than maxWidth with the current ctx.font.
+ * Newlines are kept; words that do not fit are hyphenated, and words
+ * longer than a line are broken between graphemes.
+ */
+export function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        const tokens = tokenize(paragraph);
+        for (let i = 0; i < tokens.length; i++) {
+            const { text: word, space } = tokens[i];
+            const candidate = line ? `${line}${space ? ' ' : ''}${word}` : word;
+            if (measureText(ctx, candidate) <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+
+            // Hyphenate into the space left on the line, if worth it
+            const prefix = line ? `${line}${space ? ' ' : ''}` : '';
+            const split = hyphenate(ctx, word, maxWidth - measureText(ctx, prefix));
+            if (split && (line === '' || split.head.length >= 4)) {
+                lines.push(prefix + split.head);
+                line = '';
+                tokens.splice(i + 1, 0, { text: split.tail, space: false });
+                continue;
+            }
+            if (line) {
+                lines.push(line);
+                line = '';
+                i--; // retry the word on an empty line
+                continue;
+            }
+            // Longer than a whole line and no hyphenation point fits
+            const broken = breakByGraphemes(ctx, word, maxWidth);
+            lines.push(broken.head);
+            if (broken.tail) tokens.splice(i + 1, 0, { text: broken.tail, space: false });
+        }
+        lines.push(line);
+    }
+    // Drop trailing empty lines
+    while (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Largest font size in [minSize, maxSize] at which the text fits in the
+ * box. Returns { fontSize, lineHeight, lines, fits }; when it does not fit
+ * even at minSize, fits is false and lines are laid out at minSize.
+ */
+export function fitText(ctx, text, { maxWidth, maxHeight, minSize, maxSize, lineHeight = 1.4, font = 'Arial', weight = '' }) {
+    const layout = (size) => {
+        ctx.font = `${weight ? `${weight} ` : ''}${size}px ${font}`;
+        const lines = wrapText(ctx, text, maxWidth);
+        const height = Math.round(size * lineHeight);
+        return { fontSize: size, lineHeight: height, lines, fits: lines.length * height <= maxHeight };
+    };
+
+    let best = layout(minSize);
+    if (!best.fits) return best;
+    let low = minSize + 1;
+    let high = maxSize;
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        const attempt = layout(middle);
+        if (attempt.fits) {
+            best = attempt;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    // Leave ctx.font on the chosen size
+    layout(best.fontSize);
+    return best;
+}
+
+/**
+ * Split text into pages that each fit the box at minSize or more, breaking
+ * between sentences when possible. Returns [{ text, fontSize, lineHeight, lines }].
+ */
+export function paginate(ctx, text, options) {
+    const whole = fitText(ctx, text, options);
+    if (whole.fits) return [{ text, ...whole }];
+
+    const pages = [];
+    let current = '';
+    const pushPage = () => {
+        if (current) pages.push(current);
+        current = '';
+    };
+    for (const sentence of splitSentences(text)) {
+        const candidate = current ? `${current} ${sentence}` : sentence;
+        if (fitText(ctx, candidate, options).fits) {
+            current = candidate;
+            continue;
+        }
+        pushPage();
+        if (fitText(ctx, sentence, options).fits) {
+            current = sentence;
+            continue;
+        }
+        // A sentence longer than a page: cut it at line boundaries
+        const { lines, lineHeight } = fitText(ctx, sentence, options);
+        const perPage = Math.max(1, Math.floor(options.maxHeight / lineHeight));
+        for (let i = 0; i < lines.length; i += perPage) {
+            pages.push(lines.slice(i, i + perPage).join(' ').replace(/(\p{L})- (?=\p{L})/gu, '$1'));
+        }
+    }
+    pushPage();
+    return pages.map(page => ({ text: page, ...fitText(ctx, page, options) }));
+}
@@ -1,15 +1,15 @@
 import { chromium } from 'playwright';
 import { logger } from './logger.js';
 import config from './config.js';
-import path from 'path';
-import fs from 'fs';
+import { TikTokUploadFlow } from './tiktok-upload.js';
+import { SessionManager, SESSION_STATUS } from './tiktok-session.js';
 
 export class TikTokClient {
-    constructor() {
+    constructor({ session = new SessionManager() } = {}) {
         this.browser = null;
         this.page = null;
         this.context = null;
-        this.sessionPath = path.join(config.paths.data, 'tiktok-session.json');
+        this.session = session;
     }
 
     /**
@@ -28,12 +28,16 @@ export class TikTokClient {
             userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
             viewport: { width: 1280, height: 720 },
             locale: 'it-IT',
+            // Scheduled post times are typed in the browser timezone
+            timezoneId: config.schedule.timezone,
         });
 
         // Load saved cookies if they exist
-        if (fs.existsSync(this.sessionPath)) {
-            logger.step('Loading saved session...');
-            const cookies = JSON.parse(fs.readFileSync(this.sessionPath, 'utf-8'));
+        const cookies = this.session.load();
+        if (cookies.length > 0) {
+            const { status, daysLeft } = this.session.inspect(cookies);
+            logger.step(`Loading saved session (${status}${daysLeft !== null ? `, ${daysLeft.toFixed(1)} days left` : ''})...`);
+            if (status === SESSION_STATUS.EXPIRED) logger.warn('Saved session has expired: log in again');
             await this.context.addCookies(cookies);
         }
 
@@ -70,10 +74,7 @@ export class TikTokClient {
                 if (await this.checkIfLoggedIn()) {
                     logger.success('Login successful!');
 
-                    // Save session
-                    const cookies = await this.context.cookies();
-                    fs.writeFileSync(this.sessionPath, JSON.stringify(cookies, null, 2));
-                    logger.success('Session saved');
+                    await this.saveSession();
 
                     return true;
                 }
@@ -89,6 +90,13 @@ export class TikTokClient {
         }
     }
 
+    /**
+     * Save the browser cookies as the session, the previous one kept as a backup
+     */
+    async saveSession() {
+        return this.session.rotate(await this.context.cookies());
+    }
+
     /**
      * Check if user is logged in
      */
@@ -115,99 +123,45 @@ export class TikTokClient {
     }
 
     /**
-     * Upload video to TikTok
+     * Upload video to TikTok and publish it (see TikTokUploadFlow) with the
+     * post settings of resolvePostOptions(), plus videoDuration for the cover.
+     * Throws an UploadError, with a screenshot of the page, when a step fails.
      */
-    async uploadVideo(videoPath, caption) {
-        try {
-            logger.step(`Uploading video: ${videoPath}`);
-
-            // Navigate to upload page
-            await this.page.goto('https://www.tiktok.com/upload', { waitUntil: 'networkidle' });
-            await this.page.waitForTimeout(2000);
-
-            // Find and click the file input
-            logger.step('Selecting video file...');
-            const fileInput = await this.page.$('input[type="file"]');
-
-            if (!fileInput) {
-                throw new Error('File upload input not found');
-            }
-
-            await fileInput.setInputFiles(videoPath);
-            logger.success('Video file selected');
-
-            // Wait for upload to process
-            logger.step('Waiting for video to process...');
-            await this.page.waitForTimeout(10000);
-
-            // Add caption
-            logger.step('Adding caption and hashtags...');
-            const captionSelector = 'div[contenteditable="true"], textarea[placeholder*="escri"]';
-            await this.page.waitForSelector(captionSelector, { timeout: 15000 });
-
-            const fullCaption = `${caption}\n\n${config.hashtags.join(' ')}`;
-            await this.page.fill(captionSelector, fullCaption);
-            logger.success('Caption added');
-
-            // Set privacy settings (optional - defaults are usually fine)
-            // You can add privacy setting logic here if needed
-
-            // Find and click publish button
-            logger.step('Publishing video...');
-            const publishButton = await this.page.$('button[data-e2e="publish-button"], button:has-text("Pubblica"), button:has-text("Post")');
-
-            if (!publishButton) {
-                logger.warn('Publish button not found - may need manual intervention');
-                logger.step('Please publish the video manually in the browser window');
-                await this.page.waitForTimeout(30000); // Wait 30 seconds for manual publish
-            } else {
-                await publishButton.click();
-                logger.success('Publish button clicked');
-
-                // Wait for upload to complete
-                await this.page.waitForTimeout(15000);
-            }
-
-            // Check for success
-            const isSuccess = await this.checkUploadSuccess();
-
-            if (isSuccess) {
-                logger.success('Video uploaded successfully!');
-                return true;
-            } else {
-                logger.warn('Upload status uncertain - please check TikTok manually');
-                return false;
-            }
+    async uploadVideo(videoPath, caption, post = {}) {
+        logger.step(`Uploading video: ${videoPath}`);
+        const fullCaption = `${caption}\n\n${config.hashtags.join(' ')}`;
+        const { transitions } = await new TikTokUploadFlow(this.page).run(videoPath, fullCaption, post);
+        const seconds = transitions.reduce((sum, t) => sum + t.ms, 0) / 1000;
+        logger.success(`Video uploaded successfully! (${seconds.toFixed(0)}s)`);
+        return true;
+    }
 
-        } catch (error) {
-            logger.error(`Upload failed: ${error.message}`);
-            throw error;
-        }
+    /**
+     * Profile page of the account (TIKTOK_USERNAME), or null without one
+     */
+    profileUrl(username = config.tiktok.username) {
+        if (!username) return null;
+        return `https://www.tiktok.com/@${username.replace(/^@/, '')}`;
     }
 
     /**
-     * Check if upload was successful
+     * URL of the newest video on the account profile, or null. Pinned
+     * videos come first in the grid, so they are skipped.
      */
-    async checkUploadSuccess() {
+    async findLatestPostUrl(username = config.tiktok.username) {
+        if (!username) return null;
         try {
-            // Look for success indicators
-            const successIndicators = [
-                'text=pubblicato',
-                'text=posted',
-                'text=success',
-                '[data-e2e="upload-success"]',
-            ];
-
-            for (const selector of successIndicators) {
-                const element = await this.page.$(selector);
-                if (element) {
-                    return true;
-                }
+            await this.page.goto(this.profileUrl(username), { waitUntil: 'networkidle' });
+            for (const item of await this.page.$$('[data-e2e="user-post-item"]')) {
+                if (await item.$('[data-e2e="video-card-badge"]')) continue;
+                const link = await item.$('a[href*="/video/"]');
+                const href = link ? await link.getAttribute('href') : null;
+                if (href) return new URL(href, 'https://www.tiktok.com').href;
             }
-
-            return false;
-        } catch {
-            return false;
+            return null;
+        } catch (error) {
+            logger.warn(`Could not read the profile page: ${error.message}`);
+            return null;
         }
     }
 
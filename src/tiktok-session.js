@@ -0,0 +1,276 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+import TelegramNotifier from './notifier.js';
+
+/**
+ * Health of the saved TikTok browser session (data/tiktok-session.json):
+ * expiry of the auth cookies, a logged-in probe before publishing,
+ * Telegram alerts and rotation of the session file with backups.
+ */
+
+// Cookies that keep the account logged in
+const AUTH_COOKIES = ['sessionid', 'sid_tt'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// An auth cookie of tiktok.com: one with the same name set by another site does not count
+function authCookie(cookies, name) {
+    return cookies.find(cookie => cookie.name === name && /(^|\.)tiktok\.com$/.test(cookie.domain || ''));
+}
+
+export const SESSION_STATUS = {
+    OK: 'ok',
+    EXPIRING: 'expiring',
+    EXPIRED: 'expired',
+    MISSING: 'missing',
+    INVALID: 'invalid',
+};
+
+export class SessionError extends Error {
+    constructor(status, message) {
+        super(`TikTok session ${status}: ${message}`);
+        this.name = 'SessionError';
+        this.status = status;
+    }
+}
+
+export class SessionManager {
+    constructor({ notifier = null, file = config.tiktok.session.file, backupDir = config.tiktok.session.backupDir, options = config.tiktok.session } = {}) {
+        this.notifier = notifier;
+        this.file = file;
+        this.backupDir = backupDir;
+        this.options = options;
+        // Last alert sent, so a daily check does not repeat it
+        this.alertsFile = path.join(path.dirname(file), 'tiktok-session-alerts.json');
+    }
+
+    /**
+     * Saved cookies, or [] when there is no session file
+     */
+    load() {
+        if (!fs.existsSync(this.file)) return [];
+        return JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+    }
+
+    /**
+     * Expiry of the auth cookies: { status, expiresAt, daysLeft, cookies: [{ name, expiresAt }] }.
+     * Cookies without an expiry (browser session cookies) do not count.
+     */
+    inspect(cookies = this.load(), now = new Date()) {
+        const auth = AUTH_COOKIES
+            .map(name => authCookie(cookies, name))
+            .filter(Boolean)
+            .map(cookie => ({ name: cookie.name, expiresAt: cookie.expires > 0 ? new Date(cookie.expires * 1000) : null }));
+        if (auth.length === 0) return { status: SESSION_STATUS.MISSING, expiresAt: null, daysLeft: null, cookies: auth };
+
+        const expiries = auth.map(cookie => cookie.expiresAt).filter(Boolean);
+        const expiresAt = expiries.length > 0 ? new Date(Math.min(...expiries)) : null;
+        const daysLeft = expiresAt ? (expiresAt - now) / DAY : null;
+        let status = SESSION_STATUS.OK;
+        if (daysLeft !== null && daysLeft <= 0) status = SESSION_STATUS.EXPIRED;
+        else if (daysLeft !== null && daysLeft <= this.options.warnDays) status = SESSION_STATUS.EXPIRING;
+        return { status, expiresAt, daysLeft, cookies: auth };
+    }
+
+    /**
+     * Cheap logged-in check with the browser context of a TikTokClient:
+     * the account info endpoint answers with the user only when logged in.
+     * Resolves to { loggedIn, username }.
+     */
+    async probe(client) {
+        try {
+            const response = await client.context.request.get(this.options.probeUrl, { timeout: 15000 });
+            const body = await response.json();
+            const username = body?.data?.username || body?.data?.unique_id || null;
+            return { loggedIn: response.ok() && body?.message === 'success' && Boolean(username), username };
+        } catch (error) {
+            // Endpoint changed or blocked: fall back to the page
+            logger.warn(`Session probe failed (${error.message}): checking the home page`);
+            await client.page.goto('https://www.tiktok.com/', { waitUntil: 'domcontentloaded', timeout: 30000 });
+            return { loggedIn: await client.checkIfLoggedIn(), username: null };
+        }
+    }
+
+    /**
+     * Check the session before publishing: throws a SessionError (and alerts)
+     * when it is missing, expired or no longer logged in; alerts when it
+     * expires within TIKTOK_SESSION_WARN_DAYS
+     */
+    async ensureValid(client) {
+        const health = await this.checkExpiry();
+        if (health.status === SESSION_STATUS.MISSING || health.status === SESSION_STATUS.EXPIRED) {
+            throw new SessionError(health.status, 'log in again (npm run test:tiktok) or import fresh cookies');
+        }
+        if (!this.options.probe) return health;
+
+        const { loggedIn, username } = await this.probe(client);
+        if (!loggedIn) {
+            await this.alert(SESSION_STATUS.INVALID, '⛔ <b>Sessione TikTok non valida</b>\n\nTikTok non riconosce più la sessione salvata: ' +
+                'i post non verranno pubblicati finché non rifai il login.', { repeat: true });
+            throw new SessionError(SESSION_STATUS.INVALID, 'TikTok does not accept the saved cookies');
+        }
+        logger.success(`TikTok session valid${username ? ` (@${username})` : ''}`);
+        return health;
+    }
+
+    /**
+     * Inspect the saved cookies and alert, once a day, when they are about
+     * to expire, have expired or are missing
+     */
+    async checkExpiry(now = new Date()) {
+        const health = this.inspect(this.load(), now);
+        const date = health.expiresAt?.toLocaleString('it-IT', { timeZone: config.schedule.timezone });
+        if (health.status === SESSION_STATUS.EXPIRING) {
+            logger.warn(`TikTok session expires in ${health.daysLeft.toFixed(1)} days (${health.expiresAt.toISOString()})`);
+            await this.alert(health.status, `⚠️ <b>Sessione TikTok in scadenza</b>\n\nI cookie scadono il ${date} ` +
+                `(tra ${Math.ceil(health.daysLeft) === 1 ? '1 giorno' : `${Math.ceil(health.daysLeft)} giorni`}). Rifai il login per non interrompere le pubblicazioni.`, { key: health.expiresAt.toISOString(), now });
+        } else if (health.status === SESSION_STATUS.EXPIRED) {
+            logger.error(`TikTok session expired on ${health.expiresAt.toISOString()}`);
+            await this.alert(health.status, `⛔ <b>Sessione TikTok scaduta</b>\n\nI cookie sono scaduti il ${date}: rifai il login.`, { key: health.expiresAt.toISOString(), now });
+        } else if (health.status === SESSION_STATUS.MISSING) {
+            logger.warn(`No TikTok session cookies in ${this.file}`);
+            await this.alert(health.status, '⛔ <b>Sessione TikTok mancante</b>\n\nNon ci sono cookie di login TikTok salvati: ' +
+                'rifai il login o importa i cookie (npm run cookies).', { now });
+        }
+        return health;
+    }
+
+    /**
+     * Send a Telegram alert, unless the same one (status and `key`) went
+     * out today; `repeat` sends it every time
+     */
+    async alert(status, message, { key = '', repeat = false, now = new Date() } = {}) {
+        const alertKey = `${status}:${key}`;
+        const day = now.toISOString().substring(0, 10);
+        const last = fs.existsSync(this.alertsFile) ? JSON.parse(fs.readFileSync(this.alertsFile, 'utf-8')) : {};
+        if (!repeat && last.key === alertKey && last.day === day) return false;
+        if (!this.notifier) {
+            logger.warn('Telegram not configured: session alert not sent');
+            return false;
+        }
+        // Not recorded when it failed, so the next check tries again
+        if (!await this.notifier.sendMessage(message)) return false;
+        fs.writeFileSync(this.alertsFile, JSON.stringify({ key: alertKey, day, at: now.toISOString() }, null, 2));
+        return true;
+    }
+
+    /**
+     * Save new cookies (after a login, or the ones TikTok refreshed while
+     * publishing), keeping the previous file as a backup. Nothing is
+     * written when the auth cookies did not change.
+     */
+    rotate(cookies) {
+        const current = this.load();
+        const authValues = (list) => AUTH_COOKIES.map(name => {
+            const cookie = authCookie(list, name);
+            return cookie ? `${cookie.value}:${cookie.expires}` : '';
+        }).join('|');
+        if (current.length > 0 && authValues(current) === authValues(cookies)) return null;
+        return this.save(cookies);
+    }
+
+    /**
+     * Replace the session file, keeping the previous one as a backup;
+     * returns the backup path, or null when there was no session
+     */
+    save(cookies) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const backup = this.backup();
+        const tmp = `${this.file}.tmp-${process.pid}`;
+        fs.writeFileSync(tmp, JSON.stringify(cookies, null, 2));
+        fs.renameSync(tmp, this.file);
+        logger.success(`TikTok session saved${backup ? ` (previous one in ${backup})` : ''}`);
+        return backup;
+    }
+
+    /**
+     * Copy the current session file to the backups, keeping the newest
+     * TIKTOK_SESSION_BACKUPS; returns the copy, or null without a session
+     */
+    backup() {
+        if (!fs.existsSync(this.file)) return null;
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        const backup = path.join(this.backupDir, `tiktok-session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        fs.copyFileSync(this.file, backup);
+        for (const file of this.listBackups().slice(this.options.keepBackups)) {
+            fs.rmSync(file, { force: true });
+        }
+        return backup;
+    }
+
+    /**
+     * Backups, newest first
+     */
+    listBackups() {
+        if (!fs.existsSync(this.backupDir)) return [];
+        return fs.readdirSync(this.backupDir)
+            .filter(file => file.startsWith('tiktok-session-') && file.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map(file => path.join(this.backupDir, file));
+    }
+
+    /**
+     * Put a backup back in place (the current session is backed up first)
+     */
+    restore(backupFile) {
+        const cookies = JSON.parse(fs.readFileSync(backupFile, 'utf-8'));
+        this.save(cookies);
+        logger.success(`TikTok session restored from ${backupFile}`);
+        return this.inspect(cookies);
+    }
+}
+
+function describe(health) {
+    if (health.status === SESSION_STATUS.MISSING) return 'no auth cookies';
+    const cookies = health.cookies
+        .map(cookie => `${cookie.name} ${cookie.expiresAt ? cookie.expiresAt.toISOString() : 'no expiry'}`)
+        .join(', ');
+    return `${health.status}${health.daysLeft !== null ? `, ${health.daysLeft.toFixed(1)} days left` : ''} (${cookies})`;
+}
+
+// npm run session -- [status | check | probe | backups | restore <file>]
+async function main() {
+    const [command = 'status', argument] = process.argv.slice(2);
+    const notifier = process.env.TELEGRAM_TOKEN && process.env.TELEGRAM_CHAT_ID
+        ? new TelegramNotifier(process.env.TELEGRAM_TOKEN, process.env.TELEGRAM_CHAT_ID)
+        : null;
+    const session = new SessionManager({ notifier });
+
+    if (command === 'status') {
+        console.log(`${session.file}: ${describe(session.inspect())}`);
+        console.log(`${session.listBackups().length} backups in ${session.backupDir}`);
+    } else if (command === 'check') {
+        // Expiry alerts only, no browser (for a cron job)
+        console.log(describe(await session.checkExpiry()));
+    } else if (command === 'probe') {
+        const { TikTokClient } = await import('./tiktok-client.js');
+        const client = new TikTokClient();
+        try {
+            await client.initialize();
+            console.log(describe(await session.ensureValid(client)));
+        } finally {
+            await client.close();
+        }
+    } else if (command === 'backups') {
+        for (const file of session.listBackups()) {
+            console.log(`${path.basename(file)}  ${describe(session.inspect(JSON.parse(fs.readFileSync(file, 'utf-8'))))}`);
+        }
+    } else if (command === 'restore') {
+        const backup = argument && (fs.existsSync(argument) ? argument : path.join(session.backupDir, argument));
+        if (!backup || !fs.existsSync(backup)) {
+            throw new Error(`Backup not found: ${argument || '(none given)'} (list them with: npm run session -- backups)`);
+        }
+        console.log(describe(session.restore(backup)));
+    } else {
+        throw new Error(`Unknown command: ${command} (status, check, probe, backups, restore <file>)`);
+    }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        logger.error(error.message);
+        process.exit(1);
+    });
+}
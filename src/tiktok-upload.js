@@ -0,0 +1,356 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+
+/**
+ * TikTok web upload as a state machine. Each state waits on a real signal
+ * of the page instead of a fixed sleep, with its own timeout:
+ *
+ *   open → select-file → uploading → caption → settings → ready → publishing → published
+ *
+ * A failed state leaves a screenshot and an HTML dump in the debug folder.
+ */
+
+export const UPLOAD_STATES = {
+    OPEN: 'open',
+    SELECT_FILE: 'select-file',
+    UPLOADING: 'uploading',
+    CAPTION: 'caption',
+    SETTINGS: 'settings',
+    READY: 'ready',
+    PUBLISHING: 'publishing',
+    PUBLISHED: 'published',
+};
+
+// Selectors of the upload page, newest layout first
+export const SELECTORS = {
+    // Older layouts host the uploader in an iframe
+    frame: 'iframe[data-tt="Upload_index_iframe"], iframe[src*="creator-center/upload"]',
+    fileInput: 'input[type="file"]',
+    uploaded: '[data-e2e="upload-complete"], [data-e2e="upload_status_container"] [data-icon="CheckCircleFill"]',
+    uploadError: '[data-e2e="upload-error"], [data-e2e="upload_status_container"] [data-icon="CloseCircleFill"]',
+    caption: '[data-e2e="caption-editor"] [contenteditable="true"], .public-DraftEditor-content[contenteditable="true"], [contenteditable="true"]',
+    coverButton: '[data-e2e="cover-edit"]',
+    coverModal: '[data-e2e="cover-modal"]',
+    coverSlider: '[data-e2e="cover-slider"]',
+    coverConfirm: '[data-e2e="cover-confirm"]',
+    visibility: '[data-e2e="video-visibility"]',
+    visibilityOption: (value) => `[data-e2e="visibility-option-${value}"]`,
+    allowComments: '[data-e2e="allow-comment"]',
+    allowDuet: '[data-e2e="allow-duet"]',
+    allowStitch: '[data-e2e="allow-stitch"]',
+    advancedSettings: '[data-e2e="advanced-settings"]',
+    aiGenerated: '[data-e2e="aigc-switch"]',
+    schedule: '[data-e2e="schedule-radio"]',
+    scheduleDate: '[data-e2e="schedule-date"]',
+    scheduleTime: '[data-e2e="schedule-time"]',
+    publishButton: 'button[data-e2e="post_video_button"], button[data-e2e="publish-button"]',
+    confirmation: '[data-e2e="upload-success-modal"], [data-e2e="post-success"]',
+};
+
+// Settings of a new post on TikTok: a control left at its default may be missing
+const DEFAULT_POST = {
+    visibility: 'public',
+    allowComments: true,
+    allowDuet: true,
+    allowStitch: true,
+    aiGenerated: false,
+};
+
+// Studio moves to the content list once the post is accepted
+const CONFIRMATION_URL = /\/tiktokstudio\/content|\/creator-center\/content/;
+
+export class UploadError extends Error {
+    constructor(state, message, artifacts = {}) {
+        super(`TikTok upload failed in "${state}": ${message}${artifacts.screenshot ? ` (see ${artifacts.screenshot})` : ''}`);
+        this.name = 'UploadError';
+        this.state = state;
+        this.artifacts = artifacts;
+    }
+}
+
+export class TikTokUploadFlow {
+    constructor(page, { url = config.tiktok.upload.url, timeouts = config.tiktok.upload.timeouts, debugDir = config.tiktok.upload.debugDir } = {}) {
+        this.page = page;
+        this.url = url;
+        this.timeouts = timeouts;
+        this.debugDir = debugDir;
+        // Page or iframe holding the uploader
+        this.root = page;
+        this.state = null;
+    }
+
+    /**
+     * Run the states in order; resolves to { url, transitions } once the
+     * post is confirmed, throws an UploadError from the state that failed.
+     * `post`: settings from resolvePostOptions(), plus videoDuration (seconds)
+     * to place the cover frame.
+     */
+    async run(videoPath, caption, post = {}) {
+        const steps = [
+            [UPLOAD_STATES.OPEN, () => this.open()],
+            [UPLOAD_STATES.SELECT_FILE, () => this.selectFile(videoPath)],
+            [UPLOAD_STATES.UPLOADING, () => this.waitForUpload()],
+            [UPLOAD_STATES.CAPTION, () => this.fillCaption(caption)],
+            [UPLOAD_STATES.SETTINGS, () => this.applySettings({ ...DEFAULT_POST, ...post })],
+            [UPLOAD_STATES.READY, () => this.waitForPublishButton()],
+            [UPLOAD_STATES.PUBLISHING, () => this.publish()],
+        ];
+        const transitions = [];
+        for (const [state, step] of steps) {
+            this.state = state;
+            logger.step(`Upload: ${state}`);
+            const startedAt = Date.now();
+            try {
+                await step();
+            } catch (error) {
+                throw new UploadError(state, error.message.split('\n')[0], await this.dumpPage(state));
+            }
+            transitions.push({ state, ms: Date.now() - startedAt });
+        }
+        this.state = UPLOAD_STATES.PUBLISHED;
+        return { url: this.page.url(), transitions };
+    }
+
+    timeout(state = this.state) {
+        return this.timeouts[state];
+    }
+
+    async open() {
+        await this.page.goto(this.url, { waitUntil: 'domcontentloaded', timeout: this.timeout() });
+        if (/\/login/.test(this.page.url())) {
+            throw new Error('redirected to the login page: the saved session has expired');
+        }
+        const found = await this.page.waitForSelector(`${SELECTORS.fileInput}, ${SELECTORS.frame}`, {
+            state: 'attached',
+            timeout: this.timeout(),
+        });
+        if (await found.evaluate(element => element.tagName === 'IFRAME')) {
+            this.root = await found.contentFrame();
+        }
+    }
+
+    async selectFile(videoPath) {
+        const input = await this.root.waitForSelector(SELECTORS.fileInput, { state: 'attached', timeout: this.timeout() });
+        await input.setInputFiles(videoPath);
+    }
+
+    /**
+     * Wait for the upload progress to complete, failing fast on an upload error
+     */
+    async waitForUpload() {
+        const status = await this.root.waitForSelector(`${SELECTORS.uploaded}, ${SELECTORS.uploadError}`, {
+            state: 'attached',
+            timeout: this.timeout(),
+        });
+        if (await status.evaluate((element, selector) => element.matches(selector), SELECTORS.uploadError)) {
+            throw new Error(`upload rejected: ${(await status.innerText()).trim() || 'no reason given'}`);
+        }
+    }
+
+    /**
+     * Replace the text of the caption editor. It is a contenteditable, so
+     * the text is typed rather than set with fill().
+     */
+    async fillCaption(caption) {
+        const editor = await this.root.waitForSelector(SELECTORS.caption, { state: 'visible', timeout: this.timeout() });
+        await editor.click();
+        await this.page.keyboard.press(process.platform === 'darwin' ? 'Meta+A' : 'Control+A');
+        await this.page.keyboard.press('Backspace');
+        await this.page.keyboard.insertText(caption);
+        const text = await editor.innerText();
+        const firstLine = caption.split('\n')[0].trim();
+        if (!text.includes(firstLine)) {
+            throw new Error(`caption not accepted by the editor (shows "${text.substring(0, 40)}")`);
+        }
+    }
+
+    /**
+     * Cover frame, visibility, interactions, AI label and schedule
+     */
+    async applySettings({ visibility, allowComments, allowDuet, allowStitch, aiGenerated, scheduleAt = null, coverAt = null, videoDuration = null }) {
+        if (coverAt !== null && videoDuration) {
+            // A cover editor that changed should not cost the whole post
+            try {
+                await this.setCover(Math.min(coverAt / videoDuration, 1));
+            } catch (error) {
+                logger.warn(`Cover frame not set, TikTok's own is used: ${error.message.split('\n')[0]}`);
+                await this.page.keyboard.press('Escape');
+            }
+        }
+        await this.setVisibility(visibility);
+        await this.setToggle('allowComments', allowComments);
+        await this.setToggle('allowDuet', allowDuet);
+        await this.setToggle('allowStitch', allowStitch);
+        if (aiGenerated !== DEFAULT_POST.aiGenerated) {
+            const more = await this.root.$(SELECTORS.advancedSettings);
+            if (more && await more.getAttribute('aria-expanded') === 'false') await more.click();
+        }
+        await this.setToggle('aiGenerated', aiGenerated);
+        if (scheduleAt) await this.setSchedule(scheduleAt);
+    }
+
+    /**
+     * Control of a setting: waited for when the value differs from TikTok's
+     * default, else null if the page does not have it
+     */
+    async control(selector, required) {
+        if (!required) return this.root.$(selector);
+        return this.root.waitForSelector(selector, { state: 'attached', timeout: this.timeout() });
+    }
+
+    /**
+     * Checkbox, radio or switch (aria-checked) to the given state
+     */
+    async setToggle(name, value) {
+        const toggle = await this.control(SELECTORS[name], value !== DEFAULT_POST[name]);
+        if (!toggle) return;
+        const isChecked = () => toggle.evaluate(element => (element.matches('input')
+            ? element.checked
+            : element.getAttribute('aria-checked') === 'true'));
+        if (await isChecked() === value) return;
+        await toggle.click({ force: true });
+        if (await isChecked() !== value) throw new Error(`could not set ${name} to ${value}`);
+    }
+
+    async setVisibility(value) {
+        const dropdown = await this.control(SELECTORS.visibility, value !== DEFAULT_POST.visibility);
+        if (!dropdown) return;
+        if (await dropdown.evaluate(element => element.tagName === 'SELECT')) {
+            await dropdown.selectOption(value);
+            return;
+        }
+        await dropdown.click();
+        await this.root.click(SELECTORS.visibilityOption(value), { timeout: this.timeout() });
+    }
+
+    /**
+     * TikTok's own scheduled post. Date and time are typed in the browser
+     * timezone (the client runs in the calendar timezone).
+     */
+    async setSchedule(scheduleAt) {
+        await this.setToggle('schedule', true);
+        const { date, time } = await this.page.evaluate((timestamp) => {
+            const at = new Date(timestamp);
+            const pad = (n) => String(n).padStart(2, '0');
+            return {
+                date: `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}`,
+                time: `${pad(at.getHours())}:${pad(at.getMinutes())}`,
+            };
+        }, new Date(scheduleAt).getTime());
+        await this.root.fill(SELECTORS.scheduleDate, date, { timeout: this.timeout() });
+        await this.root.fill(SELECTORS.scheduleTime, time, { timeout: this.timeout() });
+    }
+
+    /**
+     * Pick the cover frame at `fraction` of the video on the cover editor slider
+     */
+    async setCover(fraction) {
+        await this.root.click(SELECTORS.coverButton, { timeout: this.timeout() });
+        const slider = await this.root.waitForSelector(`${SELECTORS.coverModal} ${SELECTORS.coverSlider}`, {
+            state: 'visible',
+            timeout: this.timeout(),
+        });
+        const box = await slider.boundingBox();
+        await this.page.mouse.click(box.x + Math.max(1, Math.min(box.width - 1, box.width * fraction)), box.y + box.height / 2);
+        await this.root.click(SELECTORS.coverConfirm, { timeout: this.timeout() });
+        await this.root.waitForSelector(SELECTORS.coverModal, { state: 'hidden', timeout: this.timeout() });
+    }
+
+    async waitForPublishButton() {
+        await this.root.waitForFunction((selector) => {
+            const button = document.querySelector(selector);
+            return button && !button.disabled
+                && button.getAttribute('aria-disabled') !== 'true'
+                && button.getAttribute('data-disabled') !== 'true';
+        }, SELECTORS.publishButton, { timeout: this.timeout(), polling: 500 });
+    }
+
+    /**
+     * Click publish and wait for the confirmation dialog or the move to the content list
+     */
+    async publish() {
+        await this.root.click(SELECTORS.publishButton, { timeout: this.timeout() });
+        await Promise.race([
+            this.root.waitForSelector(SELECTORS.confirmation, { state: 'visible', timeout: this.timeout() }),
+            this.page.waitForURL(CONFIRMATION_URL, { timeout: this.timeout() }),
+        ]);
+    }
+
+    /**
+     * Screenshot and HTML of the page (and of the uploader iframe) for a failed state
+     */
+    async dumpPage(state) {
+        const base = path.join(this.debugDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${state}`);
+        const artifacts = {};
+        try {
+            fs.mkdirSync(this.debugDir, { recursive: true });
+            await this.page.screenshot({ path: `${base}.png`, fullPage: true });
+            artifacts.screenshot = `${base}.png`;
+            const frameHtml = this.root !== this.page ? `\n<!-- uploader iframe -->\n${await this.root.content()}` : '';
+            fs.writeFileSync(`${base}.html`, `<!-- ${this.page.url()} -->\n${await this.page.content()}${frameHtml}`);
+            artifacts.html = `${base}.html`;
+        } catch (error) {
+            logger.warn(`Could not save the upload page for debugging: ${error.message}`);
+        }
+        return artifacts;
+    }
+}
+
+const CAPTURE_USAGE = `Usage: npm run upload:capture -- <video> [output]
+Uploads <video> with the saved session (nothing is published) and saves the
+upload page, without its scripts, as the fixture of the upload tests
+(default: fixtures/tiktok-upload/upload-page.html). Check the saved page
+for account details before committing it.`;
+
+/**
+ * Fixture from the HTML of the real upload page: scripts removed, the
+ * scenario layer of the tests (upload-page.js) added
+ */
+function toFixture(html, url) {
+    return html
+        .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '')
+        .replace(/<noscript\b[^>]*>[\s\S]*?<\/noscript>/gi, '')
+        .replace(/^(<!DOCTYPE[^>]*>)?/i, `$1\n<!-- Saved from ${url} on ${new Date().toISOString()} by npm run upload:capture -->\n`)
+        .replace(/<\/body>/i, '<script src="upload-page.js"></script>\n</body>');
+}
+
+// Save the real upload page, as it is once the video has been uploaded
+async function main() {
+    const [videoPath, output = path.join(config.paths.root, 'fixtures', 'tiktok-upload', 'upload-page.html')] = process.argv.slice(2);
+    if (!videoPath || videoPath === '--help') {
+        console.log(CAPTURE_USAGE);
+        process.exit(videoPath ? 0 : 1);
+    }
+    if (!fs.existsSync(videoPath)) throw new Error(`File not found: ${videoPath}`);
+
+    // tiktok-client.js imports this module
+    const { TikTokClient } = await import('./tiktok-client.js');
+    const client = new TikTokClient();
+    await client.initialize();
+    try {
+        const flow = new TikTokUploadFlow(client.page);
+        const steps = [
+            [UPLOAD_STATES.OPEN, () => flow.open()],
+            [UPLOAD_STATES.SELECT_FILE, () => flow.selectFile(videoPath)],
+            [UPLOAD_STATES.UPLOADING, () => flow.waitForUpload()],
+        ];
+        for (const [state, step] of steps) {
+            flow.state = state;
+            logger.step(`Upload: ${state}`);
+            await step();
+        }
+        fs.writeFileSync(output, toFixture(await flow.root.content(), flow.root.url()));
+        logger.success(`Upload page saved to ${output}`);
+    } finally {
+        await client.close();
+    }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        logger.error(error.message);
+        process.exit(1);
+    });
+}
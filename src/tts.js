@@ -0,0 +1,308 @@
+import axios from 'axios';
+import ffmpeg from 'fluent-ffmpeg';
+import googleTTS from 'google-tts-api';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import config from './config.js';
+
+/**
+ * Split text into chunks of at most `maxLength` characters, breaking at
+ * sentence ends first, then at commas/semicolons, then between words
+ */
+export function splitText(text, maxLength) {
+    const chunks = [];
+    let current = '';
+
+    const push = (piece) => {
+        if (!piece) return;
+        if (current && (current + ' ' + piece).length <= maxLength) {
+            current = `${current} ${piece}`;
+            return;
+        }
+        if (current) chunks.push(current);
+        current = piece;
+    };
+
+    const split = (piece, separators) => {
+        if (piece.length <= maxLength) return push(piece);
+        const [separator, ...rest] = separators;
+        if (!separator) {
+            // A single word longer than the limit
+            for (let i = 0; i < piece.length; i += maxLength) push(piece.substring(i, i + maxLength));
+            return;
+        }
+        for (const part of piece.split(separator)) split(part.trim(), rest);
+    };
+
+    split(text.replace(/\s+/g, ' ').trim(), [/(?<=[.!?…])\s+/, /(?<=[,;:])\s+/, /\s+/]);
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * atempo only accepts 0.5..2.0: chain filters for other speeds
+ */
+export function atempoFilters(speed) {
+    const filters = [];
+    let remaining = speed;
+    while (remaining > 2) {
+        filters.push('atempo=2.0');
+        remaining /= 2;
+    }
+    while (remaining < 0.5) {
+        filters.push('atempo=0.5');
+        remaining /= 0.5;
+    }
+    if (Math.abs(remaining - 1) > 0.001) filters.push(`atempo=${remaining.toFixed(3)}`);
+    return filters;
+}
+
+/**
+ * Shift the pitch by resampling, keeping the duration with atempo
+ */
+export function pitchFilters(pitch, sampleRate, speed = 1) {
+    if (!pitch || Math.abs(pitch - 1) < 0.001) return atempoFilters(speed);
+    return [
+        `asetrate=${Math.round(sampleRate * pitch)}`,
+        `aresample=${sampleRate}`,
+        ...atempoFilters(speed / pitch),
+    ];
+}
+
+/**
+ * Run a local command, optionally writing `input` to its stdin
+ */
+function runCommand(command, args, input) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+        let stderr = '';
+        child.stderr.on('data', (data) => { stderr += data; });
+        child.on('error', (error) => {
+            if (error.code === 'ENOENT') error.message = `${command} not found (is it installed and in PATH?)`;
+            reject(error);
+        });
+        child.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+        });
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Base class for text-to-speech engines.
+ * An engine synthesizes chunks of at most `maxChunkLength` characters;
+ * synthesize() splits the text, joins the chunks and applies the voice
+ * speed and pitch with FFmpeg filters unless the engine handles them natively.
+ *
+ * A voice is { pitch, variant, speaker }: pitch is a factor (1 = unchanged),
+ * variant and speaker are engine-specific (espeak "+f3", piper speaker id).
+ */
+export class TtsEngine {
+    constructor(options = {}) {
+        this.language = options.language || config.tts.language;
+        this.voiceSpeed = options.voiceSpeed || 1;
+        this.maxChunkLength = options.maxChunkLength || 1000;
+        this.nativeSpeed = false;
+        this.nativePitch = false;
+        this.extension = 'wav';
+        this.sampleRate = options.sampleRate || 22050;
+    }
+
+    /**
+     * Write the audio for a single chunk to outputPath
+     */
+    async synthesizeChunk() {
+        throw new Error(`${this.constructor.name} does not implement synthesizeChunk()`);
+    }
+
+    /**
+     * Audio filters for the speed and pitch not handled by the engine
+     */
+    voiceFilters(voice = {}) {
+        const speed = this.nativeSpeed ? 1 : this.voiceSpeed;
+        return pitchFilters(this.nativePitch ? 1 : voice.pitch, this.sampleRate, speed);
+    }
+
+    /**
+     * Write the audio for the whole text to outputPath
+     */
+    async synthesize(text, outputPath, voice = {}) {
+        const chunks = splitText(text, this.maxChunkLength);
+        if (chunks.length === 0) throw new Error('Nothing to synthesize: text is empty');
+
+        logger.step(`TTS ${this.constructor.name}: ${chunks.length} chunk(s), speed ${this.voiceSpeed}`);
+        const base = outputPath.replace(/\.[^.]+$/, '');
+        const chunkPaths = chunks.map((chunk, index) => `${base}.part${index}.${this.extension}`);
+        try {
+            for (const [index, chunk] of chunks.entries()) {
+                await this.synthesizeChunk(chunk, chunkPaths[index], voice);
+            }
+            const filters = this.voiceFilters(voice);
+            if (chunks.length === 1 && filters.length === 0 && path.extname(outputPath) === `.${this.extension}`) {
+                fs.renameSync(chunkPaths[0], outputPath);
+            } else {
+                await this.concat(chunkPaths, outputPath, filters);
+            }
+            return outputPath;
+        } finally {
+            for (const chunkPath of chunkPaths) {
+                if (fs.existsSync(chunkPath)) fs.unlinkSync(chunkPath);
+            }
+        }
+    }
+
+    /**
+     * Narrate dialogue turns ({ text, voice }) one after the other
+     */
+    async synthesizeTurns(turns, outputPath) {
+        const base = outputPath.replace(/\.[^.]+$/, '');
+        const turnPaths = turns.map((turn, index) => `${base}.turn${index}.${this.extension}`);
+        try {
+            for (const [index, turn] of turns.entries()) {
+                await this.synthesize(turn.text, turnPaths[index], turn.voice);
+            }
+            await this.concat(turnPaths, outputPath);
+            return outputPath;
+        } finally {
+            for (const turnPath of turnPaths) {
+                if (fs.existsSync(turnPath)) fs.unlinkSync(turnPath);
+            }
+        }
+    }
+
+    /**
+     * Join chunk files into one, applying extra audio filters
+     */
+    async concat(inputs, outputPath, filters = []) {
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg();
+            inputs.forEach(input => command.input(input));
+            const joined = inputs.map((_, index) => `[${index}:a]`).join('');
+            const graph = [`${joined}concat=n=${inputs.length}:v=0:a=1`, ...filters].join(',');
+            command
+                .complexFilter(`${graph}[out]`)
+                .outputOptions(['-map [out]'])
+                .output(outputPath)
+                .on('end', () => resolve(outputPath))
+                .on('error', reject)
+                .run();
+        });
+    }
+}
+
+/**
+ * Google Translate TTS (network, ~200 characters per request)
+ */
+export class GoogleTtsEngine extends TtsEngine {
+    constructor(options = {}) {
+        super({ maxChunkLength: 200, ...options });
+        this.host = options.host || 'https://translate.google.com';
+        this.extension = 'mp3';
+        this.sampleRate = 24000;
+    }
+
+    async synthesizeChunk(text, outputPath) {
+        const audioUrl = googleTTS.getAudioUrl(text, {
+            lang: this.language,
+            slow: false,
+            host: this.host,
+        });
+        const response = await axios.get(audioUrl, { responseType: 'arraybuffer', timeout: 30000 });
+        fs.writeFileSync(outputPath, response.data);
+    }
+}
+
+/**
+ * espeak-ng (offline). Speed (words per minute), pitch and voice
+ * variant are set natively.
+ */
+export class EspeakTtsEngine extends TtsEngine {
+    constructor(options = {}) {
+        super(options);
+        this.command = options.command || 'espeak-ng';
+        this.voice = options.voice || this.language.split('-')[0];
+        this.nativeSpeed = true;
+        this.nativePitch = true;
+    }
+
+    async synthesizeChunk(text, outputPath, voice = {}) {
+        const wordsPerMinute = Math.round(175 * this.voiceSpeed);
+        const pitch = Math.min(99, Math.max(0, Math.round(50 * (voice.pitch || 1))));
+        const name = voice.variant ? `${this.voice}+${voice.variant}` : this.voice;
+        await runCommand(this.command, ['-v', name, '-s', String(wordsPerMinute), '-p', String(pitch), '-w', outputPath, '--stdin'], text);
+    }
+}
+
+/**
+ * Sample rate of an audio file, from ffprobe
+ */
+function probeSampleRate(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, data) => {
+            if (err) return reject(err);
+            const stream = data.streams.find(s => s.codec_type === 'audio');
+            resolve(stream ? parseInt(stream.sample_rate, 10) : null);
+        });
+    });
+}
+
+/**
+ * Piper neural TTS (offline, needs a .onnx voice model).
+ * Speed is set natively through length_scale; multi-speaker models
+ * take the voice's speaker id. Models come in several sample rates (16
+ * or 22.05 kHz...): it is read from the model config (model.onnx.json),
+ * else probed on the first chunk, so the pitch filters keep the speed.
+ */
+export class PiperTtsEngine extends TtsEngine {
+    constructor(options = {}) {
+        super(options);
+        this.command = options.command || 'piper';
+        this.model = options.model;
+        this.nativeSpeed = true;
+        if (!this.model) {
+            throw new Error('Piper TTS: a voice model is required (TTS_PIPER_MODEL)');
+        }
+        this.sampleRate = options.sampleRate || this.modelSampleRate();
+    }
+
+    /**
+     * audio.sample_rate of the model config, or null
+     */
+    modelSampleRate() {
+        const configPath = `${this.model}.json`;
+        if (!fs.existsSync(configPath)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(configPath, 'utf-8')).audio?.sample_rate || null;
+        } catch (error) {
+            logger.warn(`Piper TTS: cannot read ${configPath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async synthesizeChunk(text, outputPath, voice = {}) {
+        const args = ['--model', this.model, '--length_scale', (1 / this.voiceSpeed).toFixed(3), '--output_file', outputPath];
+        if (voice.speaker !== undefined) args.push('--speaker', String(voice.speaker));
+        await runCommand(this.command, args, text);
+        if (!this.sampleRate) this.sampleRate = await probeSampleRate(outputPath);
+    }
+}
+
+const TTS_ENGINES = {
+    'google': GoogleTtsEngine,
+    'espeak': EspeakTtsEngine,
+    'piper': PiperTtsEngine,
+};
+
+/**
+ * Create the TTS engine selected in config.tts
+ */
+export function createTtsEngine(options = config.tts) {
+    const EngineClass = TTS_ENGINES[options.engine];
+    if (!EngineClass) {
+        throw new Error(`Unknown TTS engine: ${options.engine} (available: ${Object.keys(TTS_ENGINES).join(', ')})`);
+    }
+    return new EngineClass({ ...options, ...options[options.engine] });
+}
@@ -1,59 +1,58 @@
 import ffmpeg from 'fluent-ffmpeg';
 import { createCanvas } from 'canvas';
 import fs from 'fs';
+import { once } from 'events';
+import { PassThrough } from 'stream';
 import path from 'path';
 import { logger } from './logger.js';
 import config from './config.js';
-import googleTTS from 'google-tts-api';
-import axios from 'axios';
+import { withRetry, isTransientError } from './retry.js';
+import { createTtsEngine } from './tts.js';
+import { parseDialogue, assignVoices } from './dialogue.js';
+import { buildMessages, buildTimeline, ChatRenderer } from './chat-animation.js';
+import { timeWords, groupPhrases, toSrt, toAss, filterPath } from './subtitles.js';
+import { templateFor, drawBackground, drawHeader, roundRect } from './templates.js';
+import { paginate } from './text-layout.js';
+import { preloadEmoji, fillText, speechText, stripEmoji } from './emoji.js';
+import { extractMetadata, formatDate } from './perla-metadata.js';
+import { loadMusicLibrary, chooseTrack, buildMixFilters } from './audio-bed.js';
+import { getProfile, targetDuration, scaleFilter, encodingOptions, checkOutput, InvalidVideoError } from './encoding-profiles.js';
+
+// Default notification ping for the bubbles
+const PING = 'sine=frequency=1318:duration=0.16,afade=t=out:st=0.02:d=0.14';
 
 export class VideoGenerator {
     constructor() {
         this.width = config.video.width;
         this.height = config.video.height;
         this.fps = config.video.fps;
+        this.tts = createTtsEngine();
     }
 
     /**
-     * Remove emojis and special characters that don't render well
-     * Also removes metadata (dates, signatures, etc.)
+     * Text without the metadata appended to it, for perle stored before it
+     * was extracted at ingest (see perla-metadata.js). Emojis are kept:
+     * they are drawn in the video (see emoji.js).
      */
-    removeEmojis(text) {
-        // Remove metadata pattern "AUDIO / VOCALI ..." or similar endings
-        text = text.replace(/AUDIO \/ VOCALI.*/i, '');
-        text = text.replace(/· \d+b .*/i, '');
-        text = text.replace(/\d{2}\/\d{2}\/\d{4}.*/, '');
-
-        return text
-            .replace(/[\u{1F600}-\u{1F64F}]/gu, '') // Emoticons
-            .replace(/[\u{1F300}-\u{1F5FF}]/gu, '') // Misc symbols
-
-            .replace(/[\u{1F680}-\u{1F6FF}]/gu, '') // Transport
-            .replace(/[\u{2600}-\u{26FF}]/gu, '')   // Misc symbols
-            .replace(/[\u{2700}-\u{27BF}]/gu, '')   // Dingbats
-            .replace(/[\u{1F900}-\u{1F9FF}]/gu, '') // Supplemental symbols
-            .replace(/[\u{1FA00}-\u{1FA6F}]/gu, '') // Extended symbols
-            .trim();
+    cleanText(text) {
+        return extractMetadata(text).text;
     }
 
     /**
-     * Generate audio from text using Google TTS
+     * Generate audio from text with the configured TTS engine.
+     * Dialogues get one voice per speaker.
      */
     async generateAudio(text, outputPath) {
         try {
             logger.step('Generating audio with TTS...');
-
-            // Google TTS API returns a URL to the audio file
-            const audioUrl = googleTTS.getAudioUrl(text, {
-                lang: config.tts.language,
-                slow: config.tts.voiceSpeed < 1,
-                host: 'https://translate.google.com',
-            });
-
-            // Download the audio file
-            const response = await axios.get(audioUrl, { responseType: 'arraybuffer' });
-            fs.writeFileSync(outputPath, response.data);
-
+            text = speechText(this.cleanText(text));
+            const turns = config.tts.dialogue ? parseDialogue(text) : [];
+            if (turns.length > 1) {
+                logger.step(`Dialogue with ${turns.length} turns: ${turns.map(t => t.speaker || 'autore').join(' → ')}`);
+                await this.tts.synthesizeTurns(assignVoices(turns, config.tts.voices), outputPath);
+            } else {
+                await this.tts.synthesize(text, outputPath, config.tts.voices[0]);
+            }
             logger.success(`Audio generated: ${outputPath}`);
             return outputPath;
         } catch (error) {
@@ -63,141 +62,151 @@ export class VideoGenerator {
     }
 
     /**
-     * Create background image with text
+     * Text box of the slide bubble, for fitText()/paginate()
      */
-    createTextImage(text, outputPath) {
-        logger.step('Creating text image...');
+    slideBox(template) {
+        const { slide, fonts } = template;
+        return {
+            maxWidth: this.width - (slide.margin + 40) * 2,
+            // Room for the page number above the text
+            maxHeight: this.height - slide.top - slide.bottom - 80 - slide.pageSize * 2,
+            minSize: slide.minFontSize,
+            maxSize: slide.maxFontSize,
+            lineHeight: slide.lineHeight,
+            font: fonts.family,
+            weight: 'bold',
+        };
+    }
+
+    /**
+     * Create the still slides with the text in one big bubble, in the
+     * template's style. The font is sized to fill the bubble; text that
+     * does not fit at the minimum size is split into pages, one image each.
+     * `subtitle` replaces the header subtitle (author and date of the perla).
+     * Returns [{ imagePath, text }].
+     */
+    async createTextImages(text, imagePath, template, subtitle = template.header.subtitle) {
+        logger.step(`Creating text image (${template.name} template)...`);
 
         const canvas = createCanvas(this.width, this.height);
         const ctx = canvas.getContext('2d');
+        const { slide, bubble, fonts } = template;
+        const side = bubble[slide.bubble];
 
-        // WhatsApp-style background
-        ctx.fillStyle = '#ECE5DD'; // WhatsApp beige background
-        ctx.fillRect(0, 0, this.width, this.height);
+        text = this.cleanText(text);
+        await preloadEmoji([text]);
+        const pages = paginate(ctx, text, this.slideBox(template));
 
-        // Subtle pattern overlay
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.02)';
-        for (let i = 0; i < this.height; i += 60) {
-            ctx.fillRect(0, i, this.width, 30);
-        }
+        const slides = pages.map((page, index) => {
+            drawBackground(ctx, template, this.width, this.height);
 
-        // Chat bubble container
-        const bubbleMargin = 80;
-        const bubbleY = 280;
-        const bubbleHeight = this.height - bubbleY - 200;
-
-        // Shadow for bubble
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.15)';
-        ctx.shadowBlur = 15;
-        ctx.shadowOffsetX = 0;
-        ctx.shadowOffsetY = 5;
-
-        // WhatsApp green bubble
-        ctx.fillStyle = '#DCF8C6'; // WhatsApp light green
-        this.roundRect(ctx, bubbleMargin, bubbleY, this.width - (bubbleMargin * 2), bubbleHeight, 20);
-
-        // Reset shadow
-        ctx.shadowColor = 'transparent';
-        ctx.shadowBlur = 0;
-        ctx.shadowOffsetX = 0;
-        ctx.shadowOffsetY = 0;
-
-        // Header background
-        ctx.fillStyle = '#128C7E'; // WhatsApp dark green
-        ctx.fillRect(0, 0, this.width, 250);
-
-        // Title
-        ctx.fillStyle = '#ffffff';
-        ctx.font = 'bold 70px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('gruppoclasse.it', this.width / 2, 130);
-
-        ctx.fillStyle = '#E8F5E9';
-        ctx.font = '45px Arial';
-        ctx.fillText('Le Perle', this.width / 2, 200);
-
-        // Clean text from emojis
-        text = this.removeEmojis(text);
-
-        // Main text (perla) - darker for readability on green
-        ctx.fillStyle = '#1a1a1a';
-        ctx.font = 'bold 52px Arial';
-        ctx.textAlign = 'center';
-
-        // Word wrap
-        const maxWidth = this.width - 200; // More padding for bubble
-        const lineHeight = 75;
-        const words = text.split(' ');
-        const lines = [];
-        let currentLine = '';
-
-        words.forEach(word => {
-            const testLine = currentLine + word + ' ';
-            const metrics = ctx.measureText(testLine);
-            if (metrics.width > maxWidth && currentLine !== '') {
-                lines.push(currentLine);
-                currentLine = word + ' ';
-            } else {
-                currentLine = testLine;
+            // Chat bubble container
+            const bubbleHeight = this.height - slide.top - slide.bottom;
+
+            // Shadow for bubble
+            if (bubble.shadow) {
+                ctx.shadowColor = bubble.shadow;
+                ctx.shadowBlur = 15;
+                ctx.shadowOffsetY = 5;
+            }
+            ctx.fillStyle = side.color;
+            roundRect(ctx, slide.margin, slide.top, this.width - (slide.margin * 2), bubbleHeight, 20);
+
+            // Reset shadow
+            ctx.shadowColor = 'transparent';
+            ctx.shadowBlur = 0;
+            ctx.shadowOffsetY = 0;
+
+            drawHeader(ctx, template, this.width, subtitle);
+
+            // Main text (perla), centered vertically inside the bubble
+            ctx.fillStyle = side.text;
+            ctx.font = `bold ${page.fontSize}px ${fonts.family}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            let y = slide.top + (bubbleHeight - page.lines.length * page.lineHeight + page.lineHeight) / 2;
+            for (const line of page.lines) {
+                fillText(ctx, line, this.width / 2, y);
+                y += page.lineHeight;
             }
-        });
-        lines.push(currentLine);
 
-        // Center text vertically inside bubble
-        const totalHeight = lines.length * lineHeight;
-        let y = 350 + (bubbleHeight - totalHeight) / 2;
+            if (pages.length > 1) {
+                ctx.globalAlpha = 0.6;
+                ctx.font = `${slide.pageSize}px ${fonts.family}`;
+                ctx.fillText(`${index + 1}/${pages.length}`, this.width / 2, slide.top + slide.pageSize * 1.5);
+                ctx.globalAlpha = 1;
+            }
 
-        lines.forEach(line => {
-            ctx.fillText(line.trim(), this.width / 2, y);
-            y += lineHeight;
+            const pagePath = pages.length > 1 ? imagePath.replace(/\.png$/, `-${index + 1}.png`) : imagePath;
+            fs.writeFileSync(pagePath, canvas.toBuffer('image/png'));
+            return { imagePath: pagePath, text: page.text };
         });
 
-        // Save to file
-        const buffer = canvas.toBuffer('image/png');
-        fs.writeFileSync(outputPath, buffer);
+        logger.success(`Text image created: ${slides.map(s => s.imagePath).join(', ')}`);
+        return slides;
+    }
 
-        logger.success(`Text image created: ${outputPath}`);
-        return outputPath;
+    /**
+     * Show each slide for a share of the narration proportional to the
+     * length of its text. Adds { start, end } (seconds) to every slide.
+     */
+    timeSlides(slides, duration) {
+        const total = slides.reduce((sum, slide) => sum + slide.text.length, 0);
+        let time = 0;
+        return slides.map(slide => {
+            const start = time;
+            time += duration * slide.text.length / total;
+            return { ...slide, start, end: time };
+        });
     }
 
     /**
-   * Helper to draw rounded rectangles
-   */
-    roundRect(ctx, x, y, width, height, radius) {
-        ctx.beginPath();
-        ctx.moveTo(x + radius, y);
-        ctx.lineTo(x + width - radius, y);
-        ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-        ctx.lineTo(x + width, y + height - radius);
-        ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-        ctx.lineTo(x + radius, y + height);
-        ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-        ctx.lineTo(x, y + radius);
-        ctx.quadraticCurveTo(x, y, x + radius, y);
-        ctx.closePath();
-        ctx.fill();
+     * Word-timed captions for narration segments ({ text, start, end }):
+     * a sidecar .srt next to the video and an .ass file to burn in.
+     * Returns { srtPath, assPath }, or null when subtitles are disabled.
+     */
+    writeSubtitles(segments, videoPath, assPath, template) {
+        if (!config.subtitles.enabled) return null;
+
+        const phrases = groupPhrases(timeWords(segments.map(segment => ({ ...segment, text: stripEmoji(segment.text) }))));
+        const srtPath = videoPath.replace(/\.[^.]+$/, '.srt');
+        fs.writeFileSync(srtPath, toSrt(phrases));
+        fs.writeFileSync(assPath, toAss(phrases, {
+            width: this.width,
+            height: this.height,
+            font: template.fonts.family,
+            color: template.subtitles?.color,
+            highlightColor: config.subtitles.highlightColor || template.subtitles?.highlight,
+        }));
+        logger.step(`Subtitles: ${phrases.length} captions (${srtPath})`);
+        return { srtPath, assPath: config.subtitles.burnIn ? assPath : null };
     }
 
     /**
-     * Generate video from image and audio
+     * Generate video from the timed slides and audio, burning in the
+     * subtitles if given. The last slide is held until `duration`.
      */
-    async generateVideo(imagePath, audioPath, outputPath) {
+    async generateVideo(slides, audioPath, outputPath, { subtitlesPath = null, profile, duration }) {
         return new Promise((resolve, reject) => {
-            logger.step('Generating video with FFmpeg...');
+            logger.step(`Generating video with FFmpeg (${profile.label} profile)...`);
 
-            ffmpeg()
-                .input(imagePath)
-                .loop(30) // Loop image
-                .input(audioPath)
+            const command = ffmpeg();
+            slides.forEach((slide, index) => {
+                const end = index < slides.length - 1 ? slide.end : duration;
+                command.input(slide.imagePath).inputOptions(['-loop 1', `-t ${(end - slide.start).toFixed(3)}`]);
+            });
+            command.input(audioPath);
+
+            const inputs = slides.map((_, index) => `[${index}:v]`).join('');
+            const subtitles = subtitlesPath ? `,ass='${filterPath(subtitlesPath)}'` : '';
+            command
+                .complexFilter([`${inputs}concat=n=${slides.length}:v=1:a=0${subtitles},${scaleFilter(profile)}[video]`])
                 .outputOptions([
-                    '-c:v libx264',
+                    '-map [video]',
+                    `-map ${slides.length}:a`,
+                    ...encodingOptions(profile),
                     '-tune stillimage',
-                    '-c:a aac',
-                    '-b:a 192k',
-                    '-pix_fmt yuv420p',
-                    '-shortest',
-                    '-vf scale=1080:1920',
-                    '-r 30'
+                    `-t ${duration.toFixed(3)}`,
                 ])
                 .output(outputPath)
                 .on('start', (commandLine) => {
@@ -220,10 +229,277 @@ export class VideoGenerator {
         });
     }
 
+    /**
+     * Final soundtrack: the narration with background music (chosen from
+     * the library by category or template, ducked under the voice), a ping
+     * at each cue (seconds) and loudness normalization.
+     * Returns the music track used, or null.
+     */
+    async mixAudioBed(narrationPath, outputPath, { perla, template, duration, cues = [] }) {
+        const { music: musicOptions, sfx } = config.audio;
+        const track = musicOptions.enabled
+            ? chooseTrack(loadMusicLibrary(), { category: perla.category, template: template.id, seed: perla.id })
+            : null;
+        const pings = sfx.enabled ? cues : [];
+        logger.step(`Mixing audio: ${track ? `music "${track.title || track.file}"` : 'no music'}, ${pings.length} pings`);
+
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg().input(narrationPath);
+            if (track) command.input(track.path).inputOptions(['-stream_loop -1']);
+            if (pings.length > 0) {
+                if (sfx.ping) {
+                    command.input(sfx.ping);
+                } else {
+                    command.input(PING).inputFormat('lavfi');
+                }
+            }
+            command
+                .complexFilter(buildMixFilters({ duration, music: track, cues: pings }))
+                .outputOptions(['-map [out]'])
+                .output(outputPath)
+                .on('end', () => resolve(track))
+                .on('error', reject)
+                .run();
+        });
+    }
+
+    /**
+     * Silent audio of the given length
+     */
+    async createSilence(outputPath, seconds) {
+        return new Promise((resolve, reject) => {
+            ffmpeg()
+                .input('anullsrc=r=44100:cl=mono')
+                .inputFormat('lavfi')
+                .outputOptions([`-t ${seconds}`])
+                .output(outputPath)
+                .on('end', () => resolve(outputPath))
+                .on('error', reject)
+                .run();
+        });
+    }
+
+    /**
+     * Duration of a media file in seconds
+     */
+    async probeDuration(filePath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filePath, (err, data) => {
+                if (err) return reject(err);
+                resolve(parseFloat(data.format.duration));
+            });
+        });
+    }
+
+    /**
+     * Join the narration segments, each delayed so it starts when its
+     * bubble appears on screen
+     */
+    async mixNarration(segmentPaths, timeline, outputPath) {
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg();
+            segmentPaths.forEach(segment => command.input(segment));
+
+            const filters = timeline.events.map((event, index) => {
+                const previousEnd = index > 0 ? timeline.events[index - 1].endAt : 0;
+                const delay = Math.round((event.showAt - previousEnd) * 1000);
+                return `[${index}:a]aformat=sample_rates=44100:channel_layouts=mono,adelay=${delay}|${delay}[a${index}]`;
+            });
+            const inputs = segmentPaths.map((_, index) => `[a${index}]`).join('');
+            filters.push(`${inputs}concat=n=${segmentPaths.length}:v=0:a=1[out]`);
+
+            command
+                .complexFilter(filters)
+                .outputOptions(['-map [out]'])
+                .output(outputPath)
+                .on('end', () => resolve(outputPath))
+                .on('error', reject)
+                .run();
+        });
+    }
+
+    /**
+     * Pipe the chat frames to FFmpeg as PNGs and mux them with the narration,
+     * burning in the subtitles if given
+     */
+    async renderAnimation(renderer, timeline, audioPath, outputPath, { subtitlesPath = null, profile }) {
+        logger.step(`Rendering animated chat (${timeline.duration.toFixed(1)}s, ${profile.label} profile) with FFmpeg...`);
+        const frames = new PassThrough();
+
+        const done = new Promise((resolve, reject) => {
+            ffmpeg()
+                .input(frames)
+                .inputFormat('image2pipe')
+                .inputOptions([`-framerate ${this.fps}`])
+                .input(audioPath)
+                .audioFilters('apad')
+                .videoFilters([...(subtitlesPath ? [`ass='${filterPath(subtitlesPath)}'`] : []), scaleFilter(profile)])
+                .outputOptions([
+                    ...encodingOptions(profile),
+                    `-t ${timeline.duration.toFixed(3)}`,
+                ])
+                .output(outputPath)
+                .on('start', (commandLine) => {
+                    logger.step(`FFmpeg command: ${commandLine}`);
+                })
+                .on('end', () => {
+                    logger.success(`Video generated: ${outputPath}`);
+                    resolve(outputPath);
+                })
+                .on('error', (err) => {
+                    logger.error(`FFmpeg error: ${err.message}`);
+                    reject(err);
+                })
+                .run();
+        });
+
+        // Stop writing as soon as FFmpeg fails
+        let failed = false;
+        const stopped = done.then(() => {}, () => { failed = true; });
+        for (const frame of renderer.frames(timeline, this.fps)) {
+            if (failed) break;
+            if (!frames.write(frame)) {
+                await Promise.race([once(frames, 'drain'), stopped]);
+            }
+        }
+        frames.end();
+        return done;
+    }
+
+    /**
+     * Animated chat video: each sentence or dialogue turn is narrated
+     * separately and its bubble appears, after a typing indicator, when
+     * its narration starts
+     */
+    async createChatAnimation(perla, { template, profile, narrationPath, audioPath, videoPath, assPath, tempFiles }) {
+        const renderer = new ChatRenderer(buildMessages(this.cleanText(perla.text)), {
+            template,
+            author: perla.author,
+            date: perla.date,
+            // Keep the bubbles clear of the burned-in captions
+            bottomSpace: config.subtitles.enabled && config.subtitles.burnIn
+                ? config.subtitles.marginBottom + config.subtitles.fontSize * 3
+                : undefined,
+        });
+        // Messages too long for one screen are already split into bubbles
+        const { messages } = renderer;
+        if (messages.length === 0) throw new Error(`Perla ${perla.id} has no text to render`);
+        await preloadEmoji(messages.map(message => message.text));
+
+        // Step 1: Narrate each message
+        logger.step(`Generating audio with TTS (${messages.length} messages)...`);
+        const segmentPaths = messages.map((_, index) => audioPath.replace(/\.mp3$/, `-${index}.${this.tts.extension}`));
+        tempFiles.push(...segmentPaths);
+        for (const [index, message] of messages.entries()) {
+            const text = speechText(message.text);
+            if (!text) {
+                // Emoji-only message: a short pause while it is on screen
+                await this.createSilence(segmentPaths[index], 1.2);
+                continue;
+            }
+            await withRetry(() => this.tts.synthesize(text, segmentPaths[index], message.voice), {
+                label: 'TTS',
+                shouldRetry: isTransientError,
+            });
+        }
+        const durations = [];
+        for (const segmentPath of segmentPaths) {
+            durations.push(await this.probeDuration(segmentPath));
+        }
+
+        // Step 2: Time the bubbles against the narration, ping as they appear
+        const timeline = buildTimeline(durations);
+        timeline.duration = targetDuration(timeline.duration, profile);
+        await this.mixNarration(segmentPaths, timeline, narrationPath);
+        const music = await this.mixAudioBed(narrationPath, audioPath, {
+            perla,
+            template,
+            duration: timeline.duration,
+            cues: timeline.events.map(event => event.showAt),
+        });
+
+        const subtitles = this.writeSubtitles(messages.map((message, index) => ({
+            text: message.text,
+            start: timeline.events[index].showAt,
+            end: timeline.events[index].endAt,
+        })), videoPath, assPath, template);
+
+        // Step 3: Render the frames into the video (retries reuse the audio)
+        await withRetry(() => this.renderAnimation(renderer, timeline, audioPath, videoPath, { subtitlesPath: subtitles?.assPath, profile }), { label: 'FFmpeg' });
+        // Cover: the whole chat on screen
+        const last = timeline.events[timeline.events.length - 1];
+        return { subtitles, music, coverAt: Math.min(last.showAt + 0.5, timeline.duration - 0.1) };
+    }
+
+    /**
+     * ffprobe a rendered file and throw an InvalidVideoError if it breaks
+     * the profile limits; resolves to the duration in seconds
+     */
+    async validateVideo(videoPath, profile) {
+        const probe = await new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(videoPath, (err, data) => (err ? reject(err) : resolve(data)));
+        });
+        const problems = checkOutput(probe, profile);
+        if (problems.length > 0) throw new InvalidVideoError(videoPath, profile, problems);
+        const duration = parseFloat(probe.format.duration);
+        logger.success(`Video valid for ${profile.label}: ${duration.toFixed(1)}s, ${(probe.format.size / 1024 / 1024).toFixed(1)} MB`);
+        return duration;
+    }
+
+    /**
+     * Re-encode a rendered video with another profile (e.g. the Telegram preview)
+     */
+    async transcode(inputPath, outputPath, profileName) {
+        const profile = getProfile(profileName);
+        await new Promise((resolve, reject) => {
+            logger.step(`Encoding ${profile.label} copy: ${outputPath}`);
+            ffmpeg(inputPath)
+                .videoFilters([scaleFilter(profile)])
+                .outputOptions(encodingOptions(profile))
+                .output(outputPath)
+                .on('end', resolve)
+                .on('error', reject)
+                .run();
+        });
+        await this.validateVideo(outputPath, profile);
+        return outputPath;
+    }
+
+    /**
+     * Delete the files that exist
+     */
+    removeFiles(files) {
+        for (const file of files) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        }
+    }
+
+    /**
+     * Save a PNG still of the video (timestamp in seconds or a percentage)
+     */
+    async extractFrame(videoPath, outputPath, timestamp = '50%') {
+        return new Promise((resolve, reject) => {
+            ffmpeg(videoPath)
+                .screenshots({
+                    timestamps: [timestamp],
+                    filename: path.basename(outputPath),
+                    folder: path.dirname(outputPath),
+                })
+                .on('end', () => resolve(outputPath))
+                .on('error', reject);
+        });
+    }
+
     /**
      * Main function to create TikTok video from text
+     * (options.template: calendar slot template, else chosen by category;
+     * options.outputPath: where to write the MP4 instead of the videos folder;
+     * options.profile: encoding profile, default VIDEO_PROFILE).
+     * The MP4 is validated against the profile and a JPEG cover is saved next to it.
      */
-    async createTikTokVideo(perla) {
+    async createTikTokVideo(perla, options = {}) {
+        const template = await templateFor(perla, options.template);
+        const profile = getProfile(options.profile || config.video.profile);
         const timestamp = Date.now();
         const tempDir = path.join(config.paths.videos, 'temp');
 
@@ -233,29 +509,65 @@ export class VideoGenerator {
         }
 
         const imagePath = path.join(tempDir, `image-${timestamp}.png`);
+        const narrationPath = path.join(tempDir, `narration-${timestamp}.mp3`);
         const audioPath = path.join(tempDir, `audio-${timestamp}.mp3`);
-        const videoPath = path.join(config.paths.videos, `video-${perla.id}-${timestamp}.mp4`);
+        const videoPath = options.outputPath || path.join(config.paths.videos, `video-${perla.id}-${timestamp}.mp4`);
+        const assPath = path.join(tempDir, `subtitles-${timestamp}.ass`);
+        const tempFiles = [imagePath, narrationPath, audioPath, assPath];
+        let subtitles = null;
+        let music = null;
+        let coverAt = 0.5;
 
         try {
             logger.step(`Creating TikTok video for perla: ${perla.id}`);
 
-            // Step 1: Generate audio
-            await this.generateAudio(perla.text, audioPath);
-
-            // Step 2: Create text image
-            this.createTextImage(perla.text, imagePath);
+            if (config.video.animation.enabled) {
+                ({ subtitles, music, coverAt } = await this.createChatAnimation(perla, {
+                    template, profile, narrationPath, audioPath, videoPath, assPath, tempFiles,
+                }));
+            } else {
+                // Step 1: Generate audio
+                await withRetry(() => this.generateAudio(perla.text, narrationPath), {
+                    label: 'TTS',
+                    shouldRetry: isTransientError,
+                });
+                const narration = await this.probeDuration(narrationPath);
+                const duration = targetDuration(narration, profile);
+                music = await this.mixAudioBed(narrationPath, audioPath, { perla, template, duration });
+
+                // Step 2: Create text images (one per page) and captions
+                const byline = [perla.author, formatDate(perla.date)].filter(Boolean).join(' · ');
+                const images = await this.createTextImages(perla.text, imagePath, template, byline || undefined);
+                tempFiles.push(...images.map(image => image.imagePath));
+                const slides = this.timeSlides(images, narration);
+                subtitles = this.writeSubtitles(slides, videoPath, assPath, template);
+
+                // Step 3: Combine into video (retries reuse the audio and images)
+                await withRetry(() => this.generateVideo(slides, audioPath, videoPath, {
+                    subtitlesPath: subtitles?.assPath,
+                    profile,
+                    duration,
+                }), { label: 'FFmpeg' });
+            }
 
-            // Step 3: Combine into video
-            await this.generateVideo(imagePath, audioPath, videoPath);
+            // Step 4: Check the output against the platform limits, save the cover
+            const duration = await this.validateVideo(videoPath, profile);
+            const coverPath = await this.extractFrame(videoPath, videoPath.replace(/\.[^.]+$/, '.jpg'), coverAt);
 
             // Cleanup temp files
-            fs.unlinkSync(imagePath);
-            fs.unlinkSync(audioPath);
+            this.removeFiles(tempFiles);
 
             logger.success(`TikTok video ready: ${videoPath}`);
 
             return {
                 videoPath,
+                template: template.id,
+                profile: profile.id,
+                duration,
+                coverPath,
+                coverAt,
+                subtitlesPath: subtitles?.srtPath || null,
+                music: music ? { title: music.title || music.file, license: music.license || null } : null,
                 perlaId: perla.id,
             };
 
@@ -263,9 +575,7 @@ export class VideoGenerator {
             logger.error(`Failed to create video: ${error.message}`);
 
             // Cleanup on error
-            if (fs.existsSync(imagePath)) fs.unlinkSync(imagePath);
-            if (fs.existsSync(audioPath)) fs.unlinkSync(audioPath);
-            if (fs.existsSync(videoPath)) fs.unlinkSync(videoPath);
+            this.removeFiles([...tempFiles, videoPath, ...['.srt', '.jpg'].map(ext => videoPath.replace(/\.[^.]+$/, ext))]);
 
             throw error;
         }
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CookieFormatError,
+    convertCookies,
+    detectFormat,
+    matchesDomain,
+    mergeCookies,
+    normalizeCookie,
+    parseNetscape,
+} from '../src/cookie-converter.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const NOW_SECONDS = NOW.getTime() / 1000;
+const IN_A_MONTH = NOW_SECONDS + 30 * 24 * 60 * 60;
+
+const netscape = (...lines) => ['# Netscape HTTP Cookie File', ...lines.map(fields => fields.join('\t'))].join('\n');
+
+test('parseNetscape reads #HttpOnly_ lines as HttpOnly cookies', () => {
+    const { cookies, invalid } = parseNetscape(netscape(
+        ['#HttpOnly_.tiktok.com', 'TRUE', '/', 'TRUE', String(IN_A_MONTH), 'sessionid', 'abc'],
+        ['.tiktok.com', 'TRUE', '/', 'FALSE', '0', 'tt_csrf', 'x'],
+    ));
+    assert.deepEqual(invalid, []);
+    assert.equal(cookies.length, 2);
+    assert.equal(cookies[0].domain, '.tiktok.com');
+    assert.equal(cookies[0].httpOnly, true);
+    assert.equal(cookies[0].secure, true);
+    assert.equal(cookies[1].httpOnly, false);
+    assert.equal(cookies[1].secure, false);
+});
+
+test('parseNetscape adds the leading dot for includeSubdomains and keeps tabs in values', () => {
+    const { cookies } = parseNetscape(netscape(['tiktok.com', 'TRUE', '/', 'FALSE', '0', 'a', 'x\ty']));
+    assert.equal(cookies[0].domain, '.tiktok.com');
+    assert.equal(cookies[0].value, 'x\ty');
+});
+
+test('parseNetscape reports malformed lines with their number', () => {
+    const { cookies, invalid } = parseNetscape('# comment\n\nnot a cookie\r\n');
+    assert.equal(cookies.length, 0);
+    assert.deepEqual(invalid.map(i => i.line), [3]);
+});
+
+test('detectFormat tells JSON from cookies.txt', () => {
+    assert.equal(detectFormat('[{"name":"a"}]'), 'json');
+    assert.equal(detectFormat('{"cookies":[]}'), 'json');
+    assert.equal(detectFormat(netscape(['.tiktok.com', 'TRUE', '/', 'FALSE', '0', 'a', 'b'])), 'netscape');
+    assert.equal(detectFormat('[not json'), 'netscape');
+});
+
+test('normalizeCookie maps extension sameSite values to Playwright', () => {
+    const base = { name: 'a', value: '1', domain: '.tiktok.com', secure: true };
+    assert.equal(normalizeCookie({ ...base, sameSite: 'no_restriction' }).sameSite, 'None');
+    assert.equal(normalizeCookie({ ...base, sameSite: 'unspecified' }).sameSite, 'Lax');
+    assert.equal(normalizeCookie({ ...base, sameSite: 'strict' }).sameSite, 'Strict');
+    assert.equal(normalizeCookie({ ...base, sameSite: 'Lax' }).sameSite, 'Lax');
+    assert.equal(normalizeCookie(base).sameSite, 'Lax');
+    assert.throws(() => normalizeCookie({ ...base, sameSite: 'weird' }), CookieFormatError);
+});
+
+test('normalizeCookie downgrades SameSite=None without Secure to Lax', () => {
+    const cookie = normalizeCookie({ name: 'a', value: '1', domain: '.tiktok.com', sameSite: 'no_restriction', secure: false });
+    assert.equal(cookie.sameSite, 'Lax');
+});
+
+test('normalizeCookie converts expires to whole seconds, -1 for session cookies', () => {
+    const base = { name: 'a', value: '1', domain: '.tiktok.com' };
+    assert.equal(normalizeCookie({ ...base, expirationDate: 1795027162.75 }).expires, 1795027162);
+    assert.equal(normalizeCookie({ ...base, expires: 1795027162123 }).expires, 1795027162);
+    assert.equal(normalizeCookie({ ...base, expires: 0 }).expires, -1);
+    assert.equal(normalizeCookie({ ...base, expirationDate: 1795027162, session: true }).expires, -1);
+    assert.equal(normalizeCookie(base).expires, -1);
+});
+
+test('normalizeCookie keeps host-only domains and dots the others', () => {
+    const base = { name: 'a', value: '1' };
+    assert.equal(normalizeCookie({ ...base, domain: 'www.tiktok.com', hostOnly: true }).domain, 'www.tiktok.com');
+    assert.equal(normalizeCookie({ ...base, domain: 'tiktok.com', hostOnly: false }).domain, '.tiktok.com');
+    assert.equal(normalizeCookie({ ...base, domain: '.tiktok.com', hostOnly: false }).domain, '.tiktok.com');
+});
+
+test('normalizeCookie rejects cookies without name, value or domain', () => {
+    assert.throws(() => normalizeCookie({ value: '1', domain: '.tiktok.com' }), /no name/);
+    assert.throws(() => normalizeCookie({ name: 'a', domain: '.tiktok.com' }), /no value/);
+    assert.throws(() => normalizeCookie({ name: 'a', value: '1' }), /no domain/);
+});
+
+test('matchesDomain accepts the domain and its subdomains only', () => {
+    assert.equal(matchesDomain('.tiktok.com', 'tiktok.com'), true);
+    assert.equal(matchesDomain('tiktok.com', 'tiktok.com'), true);
+    assert.equal(matchesDomain('www.tiktok.com', 'tiktok.com'), true);
+    assert.equal(matchesDomain('.evil-tiktok.com', 'tiktok.com'), false);
+    assert.equal(matchesDomain('tiktok.com.evil.io', 'tiktok.com'), false);
+});
+
+test('convertCookies reports kept, expired and dropped cookies', () => {
+    const { cookies, report } = convertCookies(netscape(
+        ['#HttpOnly_.tiktok.com', 'TRUE', '/', 'TRUE', String(IN_A_MONTH), 'sessionid', 'abc'],
+        ['.tiktok.com', 'TRUE', '/', 'TRUE', String(NOW_SECONDS - 60), 'old', 'x'],
+        ['.evil-tiktok.com', 'TRUE', '/', 'TRUE', String(IN_A_MONTH), 'sid_tt', 'stolen'],
+        ['.google.com', 'TRUE', '/', 'FALSE', '0', 'NID', 'y'],
+        'broken line'.split('\t'),
+    ), { now: NOW });
+
+    assert.equal(report.format, 'netscape');
+    assert.deepEqual(report.kept, ['sessionid']);
+    assert.deepEqual(report.expired.map(c => c.name), ['old']);
+    assert.deepEqual(report.dropped.map(c => c.name), ['line 6', 'sid_tt', 'NID']);
+    assert.deepEqual(cookies.map(c => c.name), ['sessionid']);
+    assert.equal(cookies[0].httpOnly, true);
+});
+
+test('convertCookies reads browser extension and storage state JSON', () => {
+    const extension = JSON.stringify([
+        { name: 'sessionid', value: 'abc', domain: '.tiktok.com', hostOnly: false, path: '/', secure: true, httpOnly: true, sameSite: 'no_restriction', expirationDate: IN_A_MONTH },
+        { name: 'bad', value: '1', domain: '.tiktok.com', sameSite: 'weird' },
+    ]);
+    const { cookies, report } = convertCookies(extension, { now: NOW });
+    assert.equal(report.format, 'json');
+    assert.deepEqual(report.kept, ['sessionid']);
+    assert.deepEqual(report.dropped, [{ name: 'bad', reason: 'unknown sameSite "weird"' }]);
+    assert.equal(cookies[0].sameSite, 'None');
+
+    const storageState = JSON.stringify({ cookies: [{ name: 'sid_tt', value: 'x', domain: '.tiktok.com', expires: -1, sameSite: 'Lax' }] });
+    assert.deepEqual(convertCookies(storageState, { now: NOW }).report.kept, ['sid_tt']);
+});
+
+test('convertCookies follows an explicit format and rejects unknown ones', () => {
+    const json = JSON.stringify([{ name: 'a', value: '1', domain: '.tiktok.com' }]);
+    assert.equal(convertCookies(json, { format: 'netscape', now: NOW }).cookies.length, 0);
+    assert.throws(() => convertCookies(json, { format: 'xml' }), CookieFormatError);
+    assert.throws(() => convertCookies('{"perle":[]}', { format: 'json' }), CookieFormatError);
+});
+
+test('mergeCookies replaces cookies with the same name, domain and path', () => {
+    const existing = [
+        { name: 'sessionid', value: 'old', domain: '.tiktok.com', path: '/' },
+        { name: 'sessionid', value: 'other', domain: 'www.tiktok.com', path: '/' },
+        { name: 'tt_csrf', value: 'keep', domain: '.tiktok.com', path: '/' },
+    ];
+    const incoming = [
+        { name: 'sessionid', value: 'new', domain: '.tiktok.com', path: '/' },
+        { name: 'sid_tt', value: 'added', domain: '.tiktok.com', path: '/' },
+    ];
+    const { cookies, added, replaced } = mergeCookies(existing, incoming);
+    assert.equal(added, 1);
+    assert.equal(replaced, 1);
+    assert.deepEqual(cookies.map(c => `${c.name}@${c.domain}=${c.value}`), [
+        'sessionid@.tiktok.com=new',
+        'sessionid@www.tiktok.com=other',
+        'tt_csrf@.tiktok.com=keep',
+        'sid_tt@.tiktok.com=added',
+    ]);
+});
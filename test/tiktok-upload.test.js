@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { chromium } from 'playwright';
+import config from '../src/config.js';
+import { SELECTORS, TikTokUploadFlow, UploadError, UPLOAD_STATES } from '../src/tiktok-upload.js';
+
+// The upload flow against fixtures/tiktok-upload/upload-page.html, the upload
+// page saved by `npm run upload:capture`, with each scenario set in the query
+// string on top of it (see upload-page.js).
+// These tests need Chromium (npx playwright install chromium) and are
+// skipped without it.
+const FIXTURES = path.join(config.paths.root, 'fixtures', 'tiktok-upload');
+const SCENARIOS = [
+    { name: 'published', page: 'upload-page.html', expect: UPLOAD_STATES.PUBLISHED },
+    { name: 'published from the iframe layout', page: 'iframe-host.html', expect: UPLOAD_STATES.PUBLISHED },
+    { name: 'upload error', page: 'upload-page.html', query: { upload: 'error' }, expect: UPLOAD_STATES.UPLOADING },
+    { name: 'upload stuck', page: 'upload-page.html', query: { upload: 'stuck' }, expect: UPLOAD_STATES.UPLOADING },
+    { name: 'publish button never enabled', page: 'upload-page.html', query: { publish: 'never' }, expect: UPLOAD_STATES.READY },
+];
+
+// Settings the tests post with, and what the page should record
+const CAPTION = 'Le perle del giorno dai gruppi classe! 💎\n\n#gruppoclasse #perle';
+const POST = {
+    visibility: 'friends',
+    allowComments: false,
+    allowDuet: false,
+    allowStitch: true,
+    aiGenerated: true,
+    scheduleAt: new Date('2030-01-15T18:30:00Z'),
+    coverAt: 3,
+    videoDuration: 10,
+};
+const POSTED = {
+    visibility: 'friends',
+    allowComments: false,
+    allowDuet: false,
+    allowStitch: true,
+    aiGenerated: true,
+    schedule: '2030-01-15T18:30',
+};
+
+// Selectors for the scenario layer of the page (window.UPLOAD_SELECTORS)
+const PAGE_SELECTORS = { ...SELECTORS, visibilityOption: SELECTORS.visibilityOption('{value}') };
+
+const browserMissing = fs.existsSync(chromium.executablePath())
+    ? false
+    : 'Chromium not installed (npx playwright install chromium)';
+
+let browser;
+let workDir;
+let videoPath;
+
+before(async () => {
+    if (browserMissing) return;
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-upload-'));
+    videoPath = path.join(workDir, 'video.mp4');
+    fs.writeFileSync(videoPath, '');
+    browser = await chromium.launch({ headless: true });
+});
+
+after(async () => {
+    await browser?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function scenarioUrl({ page, query = {} }) {
+    const url = pathToFileURL(path.join(FIXTURES, page));
+    url.search = new URLSearchParams(query).toString();
+    return url.href;
+}
+
+for (const scenario of SCENARIOS) {
+    test(`upload flow: ${scenario.name}`, { skip: browserMissing }, async () => {
+        // UTC, so the scheduled time typed in the page is predictable
+        const context = await browser.newContext({ timezoneId: 'UTC' });
+        await context.addInitScript((selectors) => { window.UPLOAD_SELECTORS = selectors; }, PAGE_SELECTORS);
+        try {
+            const page = await context.newPage();
+            const flow = new TikTokUploadFlow(page, {
+                url: scenarioUrl(scenario),
+                timeouts: Object.fromEntries(Object.values(UPLOAD_STATES).map(state => [state, 4000])),
+                debugDir: path.join(workDir, scenario.name.replace(/\W+/g, '-')),
+            });
+
+            if (scenario.expect !== UPLOAD_STATES.PUBLISHED) {
+                const error = await flow.run(videoPath, CAPTION, POST).then(() => null, error => error);
+                assert.ok(error instanceof UploadError, `expected an UploadError, got ${error}`);
+                assert.equal(error.state, scenario.expect);
+                assert.ok(fs.existsSync(error.artifacts.screenshot), 'no screenshot of the failed state');
+                assert.ok(fs.existsSync(error.artifacts.html), 'no HTML dump of the failed state');
+                return;
+            }
+
+            await flow.run(videoPath, CAPTION, POST);
+            assert.equal(flow.state, UPLOAD_STATES.PUBLISHED);
+            const { caption, cover, ...posted } = JSON.parse(await flow.root.evaluate(() => document.body.dataset.posted));
+            assert.deepEqual(posted, POSTED);
+            assert.equal(caption.replace(/\s+/g, ' ').trim(), CAPTION.replace(/\s+/g, ' '));
+            assert.ok(Math.abs(cover - 0.3) <= 0.02, `cover at ${cover}, expected 0.3`);
+        } finally {
+            await context.close();
+        }
+    });
+}